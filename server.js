@@ -4,41 +4,77 @@
  * - campaigns.id is TEXT and is the ONLY campaign identifier everywhere
  * - /api/start-session returns sessionToken (JWT) bound to codeId + campaignId + teamLeaderId
  * - /api/submit-feedback accepts ONLY sessionToken + answers
+ * - Partial answers autosave as a draft keyed to the code (/api/save-draft); re-entering the code resumes it
  * - Admin supports cycles, TL list, code generation, overview/detail, delete responses, delete cycle
- * - AI summary endpoints optional (require OPENAI_API_KEY); otherwise they return helpful error
+ * - Admins sign in as named users (POST /api/admin/login -> short-lived JWT) with a role:
+ *   super-admin (everything), hr-viewer (read-only, all TLs), line-manager (read + codes, own TLs only)
+ * - AI summary endpoints optional: AI_PROVIDER selects OpenAI, an OpenAI-compatible endpoint or an offline
+ *   extractive summariser (AI_MODEL, AI_TEMPERATURE, AI_TIMEOUT_MS); otherwise they return helpful error
+ * - AI summaries are stored per cycle/TL/audience, editable, marked stale when the responses change, and
+ *   only approved ones go into the report pack and exports
+ * - Questionnaires are versioned templates in Postgres; each campaign is pinned to one template
+ * - Deleting a cycle, TL or feedback only sets deleted_at (Trash); rows are removed by an explicit purge
+ * - Codes are generated in batches (one or more TLs per call); batches export as CSV or printable A4 slips
+ * - Unused codes can be revoked, reissued or given an expiry; code lists never show when a code was used
+ * - Team codes carry a rater group (direct reports, peers, managers, others); questions can be limited or
+ *   reworded per group and scores are broken down per group with the anonymity threshold applied to each
+ * - A TL can rate themselves with a 'self' code; self scores are stored apart (self_assessments) and the
+ *   detail view shows them against the team's averages with blind spots / hidden strengths
+ * - Scores for fewer than ANONYMITY_THRESHOLD responses are withheld everywhere (overview, detail, compare, trend,
+ *   exports, reports); feedback ids are random and stored dates are day-level only
+ * - Comments are redacted on submission (names, emails, phones, dates, shifts); only the redacted text is
+ *   ever displayed, exported or sent to AI, and flagged comments wait for super-admin review first
+ * - Benchmarks (mean, median, quartiles over TL averages) per cycle and across all cycles; the detail view
+ *   places a TL against them. Score interpretation bands are configurable per organisation (app_settings)
+ * - Action plans: goals per category agreed after a cycle, with owner, due date, status and check-ins; the
+ *   detail view shows them and, once a later cycle reports that category, how it moved
+ * - Team leaders are people records: a stable id (tl-xxxx for new ones) plus display name, email, department,
+ *   site and reporting line; departments and sites are their own tables, and overview, benchmarks, exports and
+ *   report packs take ?departmentId= / ?siteId= (parseOrgFilter); the overview can also groupBy either
+ * - Roster import (/api/admin/roster/import): a CSV of TLs, team members and departments is previewed as a
+ *   dry run (adds, reactivations, deactivations, team changes) before it is applied; generate-codes can then
+ *   issue one code per roster member. Those codes are only counted, never linked to a member
+ * - TL portal (tl.html, /api/tl/*): team leaders sign in with their own account (typ "tl" JWT) and see only
+ *   their own reports, and only for cycles an admin has released to them (report_releases); they can also
+ *   add goals and check-ins to action plans for those cycles. A password change (theirs or an admin's reset)
+ *   ends their other sessions (team_leader_accounts.session_version in the token)
+ * - Email (SMTP_HOST etc., nodemailer): invitations send each roster member their own code and link, and
+ *   reminders (now or scheduled) go only to unused codes; templates are editable per cycle, and admins only
+ *   ever see totals, never who has or hasn't responded (emailed codes are issued in random order and never
+ *   listed or exported one by one). An invitation holds the member's email and code only
+ *   until that code is used; after that it keeps an HMAC of the email keyed with a secret outside the
+ *   database (INVITE_HASH_SECRET), so no response links back to a person
+ * - Failed code entries and admin logins are recorded (auth_failures) and throttled per IP, per username and globally
  *
- * IMPORTANT: Question IDs are q1..q15 (Never..Always scale). Category grouping updated accordingly.
+ * IMPORTANT: Category grouping comes from the campaign's template (default: q1..q15, Never..Always).
  */
 
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
 require("dotenv").config();
 
 const jwt = require("jsonwebtoken");
 const { Pool } = require("pg");
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+const archiver = require("archiver");
+const QRCode = require("qrcode");
 
 const {
   DATABASE_URL,
+  ADMIN_USERNAME = "admin",
   ADMIN_PASSWORD,
   JWT_SECRET,
-  OPENAI_API_KEY
+  OPENAI_API_KEY,
+  PUBLIC_URL // questionnaire URL printed on code slips; falls back to the request host
 } = process.env;
 
 if (!DATABASE_URL) throw new Error("Missing DATABASE_URL");
-if (!ADMIN_PASSWORD) throw new Error("Missing ADMIN_PASSWORD");
 if (!JWT_SECRET) throw new Error("Missing JWT_SECRET");
-
-let openai = null;
-if (OPENAI_API_KEY) {
-  try {
-    const OpenAI = require("openai");
-    openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-  } catch (e) {
-    console.warn("OpenAI SDK not installed. AI features disabled. Run: npm i openai");
-    openai = null;
-  }
-}
+// ADMIN_PASSWORD is only needed to bootstrap the first super-admin (see initDb)
 
 const pool = new Pool({
   connectionString: DATABASE_URL,
@@ -46,11 +82,32 @@ const pool = new Pool({
 });
 
 const app = express();
+// Behind Render's proxy req.ip must come from X-Forwarded-For; set TRUST_PROXY=0 when running without one
+app.set("trust proxy", Number(process.env.TRUST_PROXY ?? 1));
 app.use(cors());
 app.use(express.json({ limit: "1mb" }));
 app.use(express.static(path.join(__dirname, "public")));
 
-const MIN_COMMENTS_FOR_DISPLAY = 3;
+// Averages / per-question scores are only shown for at least this many responses per TL
+const ANONYMITY_THRESHOLD = Math.max(1, Math.floor(Number(process.env.ANONYMITY_THRESHOLD) || 3));
+// Comments are more identifying than numbers, so never show them below the numeric threshold
+const MIN_COMMENTS_FOR_DISPLAY = Math.max(3, ANONYMITY_THRESHOLD);
+// Trashed cycles / TLs / feedback stay restorable this long; purging is always an explicit admin action
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const MAX_TEXT_LENGTH = 2000;
+// Respondent session lifetime unless the cycle sets its own (campaigns.session_ttl_minutes)
+const DEFAULT_SESSION_TTL_MINUTES = 120;
+const MIN_SESSION_TTL_MINUTES = 10;
+const MAX_SESSION_TTL_MINUTES = 7 * 24 * 60;
+// Failed attempts allowed per sliding window before further attempts get 429
+const AUTH_THROTTLE = {
+  code: { windowMinutes: 15, perIp: 10, global: 300 },
+  admin: { windowMinutes: 15, perIp: 10, perIdentifier: 5, global: 100 },
+  tl: { windowMinutes: 15, perIp: 10, perIdentifier: 5, global: 100 }
+};
+const AUTH_FAILURE_RETENTION_DAYS = 30;
+const SESSION_EXPIRED_MESSAGE =
+  "Session expired. Please click Start over and re-enter your code – your saved answers will be restored.";
 
 function safeText(v) {
   return (typeof v === "string" ? v : "").trim();
@@ -59,771 +116,6750 @@ function safeUpper(v) {
   return safeText(v).toUpperCase();
 }
 
-function adminAuth(req, res, next) {
-  const key = req.headers["x-admin-key"];
-  if (!key || key !== ADMIN_PASSWORD) return res.status(401).json({ error: "unauthorized" });
-  next();
-}
+const ADMIN_ROLES = ["super-admin", "hr-viewer", "line-manager"];
+const ADMIN_TOKEN_TTL = "1h";
 
-function signSessionToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: "2h" });
-}
-function verifySessionToken(token) {
-  return jwt.verify(token, JWT_SECRET);
-}
+const scryptAsync = promisify(crypto.scrypt);
 
-function randomCode() {
-  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
-  const part = () =>
-    Array.from({ length: 4 }, () => chars[Math.floor(Math.random() * chars.length)]).join("");
-  return `${part()}-${part()}`;
+// Stored as scrypt$<salt hex>$<hash hex>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
 }
 
-/**
- * Category mapping MUST match the questionnaire:
- *
- * Leadership & Management
- * 1..3 => q1 q2 q3
- * Communication
- * 4..6 => q4 q5 q6
- * Team Support & Development
- * 7..9 => q7 q8 q9
- * Collaboration & Culture
- * 10..12 => q10 q11 q12
- * Execution & Accountability
- * 13..15 => q13 q14 q15
- */
-const QUESTION_GROUPS = {
-  "Leadership & Management": ["q1", "q2", "q3"],
-  "Communication": ["q4", "q5", "q6"],
-  "Team Support & Development": ["q7", "q8", "q9"],
-  "Collaboration & Culture": ["q10", "q11", "q12"],
-  "Execution & Accountability": ["q13", "q14", "q15"]
-};
-
-function computeCategoryAverages(questionAverages) {
-  const out = {};
-  for (const [cat, qids] of Object.entries(QUESTION_GROUPS)) {
-    let sum = 0;
-    let n = 0;
-    for (const qid of qids) {
-      const v = Number(questionAverages[qid]);
-      if (Number.isFinite(v) && v > 0) {
-        sum += v;
-        n++;
-      }
-    }
-    out[cat] = n ? sum / n : null;
-  }
-  return out;
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scryptAsync(password, Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
 }
 
-function interpretScore(score) {
-  if (score == null || !Number.isFinite(Number(score))) return { label: "No data", band: "nodata" };
-  const s = Number(score);
-  if (s >= 4.25) return { label: "Very strong", band: "good" };
-  if (s >= 3.75) return { label: "Strong", band: "good" };
-  if (s >= 3.25) return { label: "Generally positive", band: "mixed" };
-  if (s >= 3.0) return { label: "Mixed", band: "mixed" };
-  return { label: "Needs improvement", band: "bad" };
+function signAdminToken(user) {
+  return jwt.sign({ typ: "admin", sub: user.id, username: user.username }, JWT_SECRET, { expiresIn: ADMIN_TOKEN_TTL });
 }
 
-async function initDb() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS campaigns (
-      id TEXT PRIMARY KEY,
-      label TEXT NOT NULL,
-      created_at TIMESTAMP NOT NULL DEFAULT now()
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS team_leaders (
-      id TEXT PRIMARY KEY,
-      active BOOLEAN NOT NULL DEFAULT true,
-      created_at TIMESTAMP NOT NULL DEFAULT now()
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS codes (
-      id SERIAL PRIMARY KEY,
-      code TEXT UNIQUE NOT NULL,
-      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
-      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
-      used BOOLEAN NOT NULL DEFAULT false,
-      created_at TIMESTAMP NOT NULL DEFAULT now(),
-      used_at TIMESTAMP NULL
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS feedback (
-      id SERIAL PRIMARY KEY,
-      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
-      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
-      scores_json JSONB NOT NULL,
-      overall_score NUMERIC NOT NULL,
-      strengths_text TEXT,
-      dev_text TEXT,
-      other_text TEXT,
-      created_at TIMESTAMP NOT NULL DEFAULT now()
-    );
-  `);
-
-  // Seed TLs if empty
-  const tlCount = await pool.query(`SELECT COUNT(*)::int AS c FROM team_leaders;`);
-  if (tlCount.rows[0].c === 0) {
-    const seed = ["Gill", "Kristian", "Nicola", "Teri", "Trish", "Kate-Marie", "Katie"];
-    for (const name of seed) {
-      await pool.query(
-        `INSERT INTO team_leaders (id, active) VALUES ($1, true) ON CONFLICT (id) DO NOTHING;`,
-        [name]
-      );
-    }
-    console.log("Seeded default team leaders.");
-  }
+// TL portal sessions are a separate token type, so they can never pass adminAuth (and vice versa).
+// `ver` is the account's session_version; bumping it on a password change ends every older session.
+const TL_TOKEN_TTL = "1h";
 
-  console.log("Postgres schema initialised.");
+function signTlToken(teamLeaderId, sessionVersion) {
+  return jwt.sign({ typ: "tl", sub: teamLeaderId, ver: sessionVersion }, JWT_SECRET, { expiresIn: TL_TOKEN_TTL });
 }
 
-app.get("/health", async (req, res) => {
+/**
+ * Verifies the Bearer token and reloads the user so role changes and
+ * deactivation apply immediately. Sets req.admin:
+ *   { id, username, role, teamLeaderIds }  (teamLeaderIds null = all TLs)
+ */
+async function adminAuth(req, res, next) {
+  const header = safeText(req.headers.authorization);
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token) return res.status(401).json({ error: "unauthorized" });
+
+  let payload;
   try {
-    await pool.query("SELECT 1;");
-    res.json({ ok: true });
+    payload = jwt.verify(token, JWT_SECRET);
   } catch {
-    res.status(500).json({ ok: false });
+    return res.status(401).json({ error: "Session expired. Please log in again." });
   }
-});
-
-// -----------------------------
-// PUBLIC API (Questionnaire)
-// -----------------------------
-
-app.post("/api/start-session", async (req, res) => {
-  const code = safeUpper(req.body?.code);
-  if (!code) return res.status(400).json({ error: "Code is required." });
+  if (payload?.typ !== "admin" || !payload.sub) return res.status(401).json({ error: "unauthorized" });
 
   try {
     const r = await pool.query(
       `
-      SELECT id, used, campaign_id, team_leader_id
-      FROM codes
-      WHERE UPPER(TRIM(code)) = $1
-      LIMIT 1
+      SELECT u.id, u.username, u.role,
+             COALESCE(array_agg(s.team_leader_id) FILTER (WHERE s.team_leader_id IS NOT NULL), '{}') AS scope
+      FROM admin_users u
+      LEFT JOIN admin_user_team_leaders s ON s.admin_user_id = u.id
+      WHERE u.id = $1 AND u.active = true
+      GROUP BY u.id
       `,
-      [code]
+      [payload.sub]
     );
+    if (!r.rowCount) return res.status(401).json({ error: "unauthorized" });
 
-    if (!r.rowCount) return res.status(404).json({ error: "Invalid code." });
-    const row = r.rows[0];
-    if (row.used) return res.status(409).json({ error: "This code has already been used." });
-
-    const sessionToken = signSessionToken({
-      codeId: row.id,
-      campaignId: row.campaign_id,
-      teamLeaderId: row.team_leader_id
-    });
-
-    res.json({ ok: true, sessionToken });
+    const u = r.rows[0];
+    req.admin = {
+      id: u.id,
+      username: u.username,
+      role: u.role,
+      teamLeaderIds: u.role === "line-manager" ? u.scope : null
+    };
+    next();
   } catch (e) {
-    console.error("Error in /api/start-session:", e);
-    res.status(500).json({ error: "Server error verifying code." });
+    console.error("Error in adminAuth:", e);
+    res.status(500).json({ error: "Server error checking login." });
   }
-});
-
-app.post("/api/submit-feedback", async (req, res) => {
-  const sessionToken = safeText(req.body?.sessionToken);
-  const scores = req.body?.scores || null;
-  const strengthsText = safeText(req.body?.strengthsText);
-  const devText = safeText(req.body?.devText);
-  const otherText = safeText(req.body?.otherText);
+}
 
-  if (!sessionToken) return res.status(400).json({ error: "Missing sessionToken." });
-  if (!scores || typeof scores !== "object") return res.status(400).json({ error: "Missing scores." });
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.admin || !roles.includes(req.admin.role)) {
+      return res.status(403).json({ error: "Your account does not have permission to do this." });
+    }
+    next();
+  };
+}
 
-  // Require written answers (as per your current UI)
-  if (!strengthsText || !devText || !otherText) {
-    return res.status(400).json({ error: "Please complete all written questions before submitting." });
-  }
+/**
+ * TL portal counterpart of adminAuth: verifies a "tl" token and reloads the account so
+ * deactivating it (or trashing the TL) applies immediately, as does a password change (session_version). Sets req.tl = { teamLeaderId }
+ * and req.admin = { id: null, username: "tl:<id>" } so audit() records who it was.
+ */
+async function tlAuth(req, res, next) {
+  const header = safeText(req.headers.authorization);
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token) return res.status(401).json({ error: "unauthorized" });
 
   let payload;
   try {
-    payload = verifySessionToken(sessionToken);
+    payload = jwt.verify(token, JWT_SECRET);
   } catch {
-    return res.status(401).json({ error: "Session expired. Please click Start over and re-enter your code." });
+    return res.status(401).json({ error: "Session expired. Please log in again." });
   }
-
-  const { codeId, campaignId, teamLeaderId } = payload || {};
-  if (!codeId || !campaignId || !teamLeaderId) {
-    return res.status(400).json({ error: "Invalid session. Please start over." });
+  if (payload?.typ !== "tl" || !payload.sub || !Number.isInteger(payload.ver)) {
+    return res.status(401).json({ error: "unauthorized" });
   }
 
-  const values = Object.values(scores).map(Number).filter(v => Number.isFinite(v));
-  if (!values.length) return res.status(400).json({ error: "Scores incomplete." });
-  const overall = values.reduce((a, b) => a + b, 0) / values.length;
-
-  const client = await pool.connect();
   try {
-    await client.query("BEGIN");
-
-    const codeRow = await client.query(
-      `SELECT used FROM codes WHERE id = $1 FOR UPDATE`,
-      [codeId]
-    );
-
-    if (!codeRow.rowCount) {
-      await client.query("ROLLBACK");
-      return res.status(400).json({ error: "Invalid code session." });
-    }
-    if (codeRow.rows[0].used) {
-      await client.query("ROLLBACK");
-      return res.status(409).json({ error: "This code has already been used." });
-    }
-
-    await client.query(
+    const r = await pool.query(
       `
-      INSERT INTO feedback (campaign_id, team_leader_id, scores_json, overall_score, strengths_text, dev_text, other_text)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      SELECT a.team_leader_id
+      FROM team_leader_accounts a
+      JOIN team_leaders t ON t.id = a.team_leader_id AND t.deleted_at IS NULL
+      WHERE a.team_leader_id = $1 AND a.active = true AND a.session_version = $2
       `,
-      [campaignId, teamLeaderId, JSON.stringify(scores), overall, strengthsText, devText, otherText]
-    );
-
-    await client.query(
-      `UPDATE codes SET used = true, used_at = now() WHERE id = $1`,
-      [codeId]
+      [payload.sub, payload.ver]
     );
+    if (!r.rowCount) return res.status(401).json({ error: "Session expired. Please log in again." });
 
-    await client.query("COMMIT");
-    res.json({ ok: true });
+    req.tl = { teamLeaderId: r.rows[0].team_leader_id };
+    req.admin = { id: null, username: `tl:${req.tl.teamLeaderId}` };
+    next();
   } catch (e) {
-    await client.query("ROLLBACK");
-    console.error("Error in /api/submit-feedback:", e);
-    res.status(500).json({ error: "Server error saving feedback." });
-  } finally {
-    client.release();
+    console.error("Error in tlAuth:", e);
+    res.status(500).json({ error: "Server error checking login." });
   }
-});
-
-// -----------------------------
-// ADMIN API
-// -----------------------------
-
-app.get("/api/admin/campaigns", adminAuth, async (req, res) => {
-  const r = await pool.query(`SELECT id, label, created_at FROM campaigns ORDER BY created_at DESC;`);
-  res.json({ campaigns: r.rows });
-});
+}
 
-app.post("/api/admin/campaigns", adminAuth, async (req, res) => {
-  const id = safeText(req.body?.campaignId);
-  const label = safeText(req.body?.label);
-  if (!id || !label) return res.status(400).json({ error: "campaignId and label required" });
+function canAccessTeamLeader(admin, teamLeaderId) {
+  return !admin.teamLeaderIds || admin.teamLeaderIds.includes(teamLeaderId);
+}
 
+/**
+ * Appends to audit_log. Never throws: a failed audit write is logged but
+ * must not turn a completed action into an error response.
+ */
+async function audit(req, action, { campaignId = null, teamLeaderId = null, affected = null, details = null } = {}) {
   try {
     await pool.query(
-      `INSERT INTO campaigns (id, label) VALUES ($1, $2)
-       ON CONFLICT (id) DO UPDATE SET label = EXCLUDED.label`,
-      [id, label]
+      `
+      INSERT INTO audit_log (actor_id, actor_username, action, campaign_id, team_leader_id, affected_rows, details_json)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `,
+      [
+        req.admin?.id ?? null,
+        req.admin?.username ?? "system",
+        action,
+        campaignId || null,
+        teamLeaderId || null,
+        affected,
+        details ? JSON.stringify(details) : null
+      ]
     );
-    res.json({ ok: true });
   } catch (e) {
-    console.error("Error creating campaign:", e);
-    res.status(500).json({ error: "DB error creating cycle." });
+    console.error(`Audit write failed (${action}):`, e);
   }
-});
-
-app.post("/api/admin/delete-cycle", adminAuth, async (req, res) => {
-  const campaignId = safeText(req.body?.campaignId);
-  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+}
 
-  try {
-    const r = await pool.query(`DELETE FROM campaigns WHERE id = $1`, [campaignId]);
-    res.json({ ok: true, deleted: r.rowCount });
-  } catch (e) {
-    console.error("Error deleting cycle:", e);
-    res.status(500).json({ error: "DB error deleting cycle." });
-  }
-});
+const sleep = promisify(setTimeout);
 
-// Team Leaders
-app.get("/api/admin/team-leaders", adminAuth, async (req, res) => {
-  const r = await pool.query(`SELECT id, active FROM team_leaders ORDER BY id ASC;`);
-  res.json({ teamLeaders: r.rows });
-});
+/**
+ * Returns { scope, retryAfter } when this IP / identifier / everyone has used up
+ * the failure allowance for `kind` in the current window, else null. Attempts made
+ * while locked out are not recorded, so the lock lifts once the oldest failure ages out.
+ */
+async function checkAuthThrottle(kind, ip, identifier = null) {
+  const limits = AUTH_THROTTLE[kind];
+  const r = await pool.query(
+    `
+    SELECT
+      COUNT(*) FILTER (WHERE ip = $2)::int AS by_ip,
+      MIN(created_at) FILTER (WHERE ip = $2) AS ip_oldest,
+      COUNT(*) FILTER (WHERE identifier = $3)::int AS by_identifier,
+      MIN(created_at) FILTER (WHERE identifier = $3) AS identifier_oldest,
+      COUNT(*)::int AS total,
+      MIN(created_at) AS total_oldest
+    FROM auth_failures
+    WHERE kind = $1 AND created_at > now() - make_interval(mins => $4)
+    `,
+    [kind, ip, identifier, limits.windowMinutes]
+  );
+  const row = r.rows[0];
+  const retryAfter = oldest =>
+    Math.max(1, Math.ceil((new Date(oldest).getTime() + limits.windowMinutes * 60000 - Date.now()) / 1000));
 
-app.post("/api/admin/team-leaders", adminAuth, async (req, res) => {
-  const name = safeText(req.body?.name);
-  if (!name) return res.status(400).json({ error: "name required" });
+  if (row.total >= limits.global) return { scope: "global", retryAfter: retryAfter(row.total_oldest) };
+  if (row.by_ip >= limits.perIp) return { scope: "ip", retryAfter: retryAfter(row.ip_oldest) };
+  if (identifier && limits.perIdentifier && row.by_identifier >= limits.perIdentifier) {
+    return { scope: "identifier", retryAfter: retryAfter(row.identifier_oldest) };
+  }
+  return null;
+}
 
+// Records a failure and waits a little longer after each one from the same IP (max 3s)
+async function recordAuthFailure(kind, req, identifier = null) {
   try {
-    await pool.query(
-      `INSERT INTO team_leaders (id, active) VALUES ($1, true)
-       ON CONFLICT (id) DO UPDATE SET active = true`,
-      [name]
+    const r = await pool.query(
+      `
+      WITH ins AS (
+        INSERT INTO auth_failures (kind, ip, identifier, user_agent) VALUES ($1, $2, $3, $4)
+      )
+      SELECT COUNT(*)::int AS c FROM auth_failures
+      WHERE kind = $1 AND ip = $2 AND created_at > now() - make_interval(mins => $5)
+      `,
+      [kind, req.ip, identifier, safeText(req.get("user-agent")).slice(0, 300) || null, AUTH_THROTTLE[kind].windowMinutes]
     );
-    res.json({ ok: true });
+    await sleep(Math.min(3000, (r.rows[0].c + 1) * 250));
   } catch (e) {
-    console.error("Error upserting TL:", e);
-    res.status(500).json({ error: "DB error saving TL." });
+    console.error(`Recording auth failure failed (${kind}):`, e);
   }
-});
+}
 
-app.post("/api/admin/team-leaders/deactivate", adminAuth, async (req, res) => {
-  const name = safeText(req.body?.name);
-  if (!name) return res.status(400).json({ error: "name required" });
+function sendThrottled(res, lock) {
+  const minutes = Math.ceil(lock.retryAfter / 60);
+  res.setHeader("Retry-After", String(lock.retryAfter));
+  return res.status(429).json({
+    error: `Too many failed attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`
+  });
+}
 
-  try {
-    const r = await pool.query(`UPDATE team_leaders SET active = false WHERE id = $1`, [name]);
-    res.json({ ok: true, affected: r.rowCount });
-  } catch (e) {
-    console.error("Error deactivating TL:", e);
-    res.status(500).json({ error: "DB error updating TL." });
-  }
-});
+// Sends 403 and returns false when a line manager asks for someone else's TL
+function ensureTeamLeaderAccess(req, res, teamLeaderId) {
+  if (canAccessTeamLeader(req.admin, teamLeaderId)) return true;
+  res.status(403).json({ error: "You do not have access to this team leader." });
+  return false;
+}
 
-app.post("/api/admin/team-leaders/delete", adminAuth, async (req, res) => {
-  const name = safeText(req.body?.name);
-  if (!name) return res.status(400).json({ error: "name required" });
+function signSessionToken(payload, ttlMinutes = DEFAULT_SESSION_TTL_MINUTES) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ttlMinutes * 60 });
+}
+function verifySessionToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
 
-  try {
-    const r = await pool.query(`DELETE FROM team_leaders WHERE id = $1`, [name]);
-    res.json({ ok: true, deleted: r.rowCount });
-  } catch (e) {
-    console.error("Error deleting TL:", e);
-    res.status(500).json({ error: "DB error deleting TL." });
-  }
-});
+function randomCode() {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const part = () =>
+    Array.from({ length: 4 }, () => chars[crypto.randomInt(chars.length)]).join("");
+  return `${part()}-${part()}`;
+}
 
-// Generate codes
-app.post("/api/admin/generate-codes", adminAuth, async (req, res) => {
+// Stable TL key, never shown as a name (display_name is)
+function newTeamLeaderId() {
+  return `tl-${crypto.randomBytes(6).toString("hex")}`;
+}
+
+/**
+ * Default questionnaire (seeded as template "tl360" v1 on first start).
+ *
+ * Templates are versioned and immutable: editing wording means creating a new
+ * version and attaching it to a cycle, so old cycles keep their original text.
+ * Open-ended question ids map 1:1 onto the feedback text columns.
+ */
+const DEFAULT_TEMPLATE_KEY = "tl360";
+const DEFAULT_TEMPLATE = {
+  scale: {
+    min: 1,
+    max: 5,
+    labels: ["Never", "Rarely", "Sometimes", "Often", "Always"]
+  },
+  categories: [
+    {
+      name: "Leadership & Management",
+      questions: [
+        { id: "q1", text: "The team leader sets clear expectations and goals." },
+        { id: "q2", text: "The team leader makes fair, well-informed decisions." },
+        { id: "q3", text: "The team leader remains composed and professional under pressure." }
+      ]
+    },
+    {
+      name: "Communication",
+      questions: [
+        { id: "q4", text: "The team leader communicates openly and transparently." },
+        { id: "q5", text: "The team leader listens actively and considers feedback." },
+        { id: "q6", text: "The team leader provides timely and useful updates." }
+      ]
+    },
+    {
+      name: "Team Support & Development",
+      questions: [
+        { id: "q7", text: "The team leader supports professional growth and development." },
+        { id: "q8", text: "The team leader provides constructive, actionable feedback." },
+        { id: "q9", text: "The team leader acknowledges and recognizes good performance." }
+      ]
+    },
+    {
+      name: "Collaboration & Culture",
+      questions: [
+        { id: "q10", text: "The team leader promotes a positive and respectful team culture." },
+        { id: "q11", text: "The team leader encourages collaboration and teamwork." },
+        { id: "q12", text: "The team leader manages conflicts effectively and professionally." }
+      ]
+    },
+    {
+      name: "Execution & Accountability",
+      questions: [
+        { id: "q13", text: "The team leader ensures tasks and commitments are completed on time." },
+        { id: "q14", text: "The team leader holds themselves and others accountable." },
+        { id: "q15", text: "The team leader effectively prioritizes and delegates tasks." }
+      ]
+    }
+  ],
+  openQuestions: [
+    { id: "strengthsText", text: "What are this team leader’s greatest strengths?" },
+    { id: "devText", text: "What could this team leader improve or develop further?" },
+    { id: "otherText", text: "Is there anything else you would like to share that would help this leader succeed?" }
+  ]
+};
+
+const OPEN_QUESTION_IDS = ["strengthsText", "devText", "otherText"];
+
+// Who a team code's respondent is in relation to the TL. Older codes are all direct reports.
+const RATER_GROUPS = ["direct-report", "peer", "manager", "other"];
+const DEFAULT_RATER_GROUP = "direct-report";
+const RATER_GROUP_LABELS = { "direct-report": "Direct reports", peer: "Peers", manager: "Managers", other: "Others" };
+
+/**
+ * Returns an error message, or null if the definition is usable.
+ * A question may set raterGroups (which groups are asked it; default all) and
+ * textByGroup ({ peer: "..." }) to reword it for a group.
+ */
+function validateTemplateDefinition(def) {
+  if (!def || typeof def !== "object") return "definition must be an object";
+
+  const scale = def.scale;
+  if (!scale || !Number.isInteger(scale.min) || !Number.isInteger(scale.max) || scale.min >= scale.max) {
+    return "scale.min and scale.max must be integers with min < max";
+  }
+  const points = scale.max - scale.min + 1;
+  if (!Array.isArray(scale.labels) || scale.labels.length !== points || scale.labels.some(l => !safeText(l))) {
+    return `scale.labels must contain ${points} non-empty labels`;
+  }
+
+  if (!Array.isArray(def.categories) || !def.categories.length) return "categories must be a non-empty array";
+  const seen = new Set();
+  for (const cat of def.categories) {
+    if (!safeText(cat?.name)) return "every category needs a name";
+    if (!Array.isArray(cat.questions) || !cat.questions.length) return `category "${cat.name}" has no questions`;
+    for (const q of cat.questions) {
+      const id = safeText(q?.id);
+      if (!/^[a-z][a-z0-9_]{0,31}$/i.test(id)) return `invalid question id "${id}"`;
+      if (seen.has(id)) return `duplicate question id "${id}"`;
+      if (!safeText(q.text)) return `question "${id}" needs text`;
+      if (q.raterGroups !== undefined) {
+        if (!Array.isArray(q.raterGroups) || !q.raterGroups.length || q.raterGroups.some(g => !RATER_GROUPS.includes(g))) {
+          return `question "${id}" raterGroups must be a non-empty list of ${RATER_GROUPS.join(", ")}`;
+        }
+      }
+      if (q.textByGroup !== undefined) {
+        if (!q.textByGroup || typeof q.textByGroup !== "object" || Array.isArray(q.textByGroup)) {
+          return `question "${id}" textByGroup must be an object`;
+        }
+        for (const [g, t] of Object.entries(q.textByGroup)) {
+          if (!RATER_GROUPS.includes(g)) return `question "${id}" textByGroup has unknown group "${g}"`;
+          if (!safeText(t)) return `question "${id}" textByGroup.${g} needs text`;
+        }
+      }
+      seen.add(id);
+    }
+  }
+  for (const g of RATER_GROUPS) {
+    if (!questionnaireForRaterGroup(def, g).categories.length) return `no questions are asked of rater group "${g}"`;
+  }
+
+  if (!Array.isArray(def.openQuestions)) return "openQuestions must be an array";
+  for (const oq of def.openQuestions) {
+    if (!OPEN_QUESTION_IDS.includes(oq?.id)) return `open question id must be one of ${OPEN_QUESTION_IDS.join(", ")}`;
+    if (!safeText(oq.text)) return `open question "${oq.id}" needs text`;
+  }
+  return null;
+}
+
+function templateFromRow(row) {
+  return {
+    id: row.id,
+    templateKey: row.template_key,
+    version: row.version,
+    name: row.name,
+    definition: row.definition_json
+  };
+}
+
+async function loadCampaignTemplate(campaignId, db = pool) {
+  const r = await db.query(
+    `
+    SELECT t.id, t.template_key, t.version, t.name, t.definition_json
+    FROM campaigns c
+    JOIN questionnaire_templates t ON t.id = c.template_id
+    WHERE c.id = $1
+    `,
+    [campaignId]
+  );
+  if (r.rowCount) return templateFromRow(r.rows[0]);
+  return { id: null, templateKey: DEFAULT_TEMPLATE_KEY, version: 1, name: "Default", definition: DEFAULT_TEMPLATE };
+}
+
+// The questionnaire as one rater group sees it: their questions only, in their wording.
+// raterGroup null (self-assessments) gets every question with the default text.
+function questionnaireForRaterGroup(definition, raterGroup) {
+  if (!raterGroup) return definition;
+  const categories = (definition.categories || [])
+    .map(cat => ({
+      ...cat,
+      questions: (cat.questions || [])
+        .filter(q => !q.raterGroups || q.raterGroups.includes(raterGroup))
+        .map(q => ({ id: q.id, text: q.textByGroup?.[raterGroup] || q.text }))
+    }))
+    .filter(cat => cat.questions.length);
+  return { ...definition, categories };
+}
+
+// { "Category name": ["q1", "q2", ...] } in questionnaire order
+function templateQuestionGroups(definition) {
+  const out = {};
+  for (const cat of definition.categories || []) {
+    out[cat.name] = (cat.questions || []).map(q => q.id);
+  }
+  return out;
+}
+
+function computeCategoryAverages(questionAverages, definition = DEFAULT_TEMPLATE) {
+  const out = {};
+  for (const [cat, qids] of Object.entries(templateQuestionGroups(definition))) {
+    let sum = 0;
+    let n = 0;
+    for (const qid of qids) {
+      const v = Number(questionAverages[qid]);
+      if (Number.isFinite(v) && v > 0) {
+        sum += v;
+        n++;
+      }
+    }
+    out[cat] = n ? sum / n : null;
+  }
+  return out;
+}
+
+/**
+ * Checks a submission against the campaign's questionnaire.
+ * Returns { fieldErrors, scores, texts }; fieldErrors is keyed by question id
+ * (or open-question id) so the questionnaire page can highlight each field.
+ */
+function validateSubmission(definition, body) {
+  const fieldErrors = {};
+  const scores = {};
+  const texts = {};
+  const { min, max } = definition.scale;
+
+  const rawScores = body?.scores;
+  if (!rawScores || typeof rawScores !== "object" || Array.isArray(rawScores)) {
+    fieldErrors.scores = "Missing scores.";
+  }
+
+  const expected = new Set();
+  for (const cat of definition.categories || []) {
+    for (const q of cat.questions || []) {
+      expected.add(q.id);
+      if (fieldErrors.scores) continue;
+      const v = rawScores[q.id];
+      if (v === undefined || v === null || v === "") {
+        fieldErrors[q.id] = "Please choose a rating.";
+      } else if (!Number.isInteger(v) || v < min || v > max) {
+        fieldErrors[q.id] = `Rating must be a whole number from ${min} to ${max}.`;
+      } else {
+        scores[q.id] = v;
+      }
+    }
+  }
+  if (!fieldErrors.scores) {
+    for (const key of Object.keys(rawScores)) {
+      if (!expected.has(key)) fieldErrors[key] = "Unknown question.";
+    }
+  }
+
+  const asked = new Set((definition.openQuestions || []).map(oq => oq.id));
+  for (const id of OPEN_QUESTION_IDS) {
+    const raw = body?.[id];
+    if (raw != null && typeof raw !== "string") {
+      fieldErrors[id] = "Answer must be text.";
+      continue;
+    }
+    const text = safeText(raw);
+    if (!asked.has(id)) {
+      if (text) fieldErrors[id] = "Unknown question.";
+      continue;
+    }
+    if (!text) fieldErrors[id] = "Please answer this question.";
+    else if (text.length > MAX_TEXT_LENGTH) fieldErrors[id] = `Please keep this under ${MAX_TEXT_LENGTH} characters.`;
+    else texts[id] = text;
+  }
+
+  return { fieldErrors, scores, texts };
+}
+
+/**
+ * Keeps whatever part of a half-finished answer set is valid so it can be saved
+ * as a draft; unlike validateSubmission nothing is required and bad values are dropped.
+ */
+function sanitiseDraft(definition, body) {
+  const scores = {};
+  const texts = {};
+  const { min, max } = definition.scale;
+  const rawScores = body?.scores && typeof body.scores === "object" ? body.scores : {};
+
+  for (const cat of definition.categories || []) {
+    for (const q of cat.questions || []) {
+      const v = rawScores[q.id];
+      if (Number.isInteger(v) && v >= min && v <= max) scores[q.id] = v;
+    }
+  }
+  for (const oq of definition.openQuestions || []) {
+    const raw = body?.[oq.id];
+    if (typeof raw === "string" && raw.trim()) texts[oq.id] = raw.slice(0, MAX_TEXT_LENGTH);
+  }
+  return { scores, texts };
+}
+
+// -----------------------------
+// Comment redaction
+// -----------------------------
+const REDACTION_PATTERNS = [
+  { type: "email", token: "[email]", re: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { type: "phone", token: "[phone]", re: /(?<!\w)(?:\+44\s?|0)\d(?:[\s-]?\d){8,10}(?!\w)/g },
+  {
+    type: "date",
+    token: "[date]",
+    re: new RegExp(
+      [
+        "\\b\\d{1,2}[/.-]\\d{1,2}(?:[/.-]\\d{2,4})?\\b",
+        "\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?(?:\\s+\\d{4})?\\b",
+        "\\b(?:jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b",
+        "\\b(?:last|next|this|on)?\\s*(?:mon|tues|wednes|thurs|fri|satur|sun)day(?:\\s+(?:morning|afternoon|evening|night))?\\b"
+      ].join("|"),
+      "gi"
+    )
+  },
+  { type: "time", token: "[time]", re: /\b\d{1,2}(?::\d{2})?\s?(?:am|pm)\b|\b\d{1,2}:\d{2}\b/gi },
+  {
+    type: "shift",
+    token: "[shift]",
+    re: /\b(?:(?:early|late|night|day|morning|afternoon|evening|weekend|twilight|double|back)\s+shifts?|on\s+(?:nights|earlies|lates|days)|(?:nights|earlies|lates)\s+rota)\b/gi
+  }
+];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Shorter TL names ("Al", "Jo") match too many ordinary words to be worth flagging
+const REDACTION_MIN_NAME_LENGTH = 3;
+
+// Known names: every team leader's display name plus the admin-maintained redaction_terms list
+async function loadRedactionTerms(db = pool) {
+  const r = await db.query(
+    `
+    SELECT display_name AS term FROM team_leaders WHERE char_length(display_name) >= $1
+    UNION
+    SELECT term FROM redaction_terms
+    `,
+    [REDACTION_MIN_NAME_LENGTH]
+  );
+  return r.rows.map(x => x.term).filter(Boolean).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Returns { text, flags } with identifying details replaced by tokens such as
+ * "[name]" or "[phone]"; flags lists the kinds of thing that were removed.
+ */
+function redactText(text, terms) {
+  if (!text) return { text, flags: [] };
+  const flags = new Set();
+  let out = text;
+
+  // Patterns first so e.g. a name inside an email address still counts as an email
+  for (const p of REDACTION_PATTERNS) {
+    out = out.replace(p.re, (m) => {
+      const lead = m.match(/^\s*/)[0];
+      flags.add(p.type);
+      return lead + p.token;
+    });
+  }
+  for (const term of terms) {
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, "giu");
+    if (re.test(out)) {
+      flags.add("name");
+      out = out.replace(re, "[name]");
+    }
+  }
+  return { text: out, flags: [...flags] };
+}
+
+/**
+ * Redacts every open-question answer of one response. Anything flagged puts the
+ * response in "pending" review; otherwise it is "clear" and released as redacted.
+ */
+function redactResponse(texts, terms) {
+  const redacted = {};
+  const flags = {};
+  for (const id of OPEN_QUESTION_IDS) {
+    if (!texts[id]) continue;
+    const r = redactText(texts[id], terms);
+    redacted[id] = r.text;
+    if (r.flags.length) flags[id] = r.flags;
+  }
+  return { redacted, flags, status: Object.keys(flags).length ? "pending" : "clear" };
+}
+
+const FEEDBACK_TEXT_COLUMNS = { strengthsText: "strengths_text", devText: "dev_text", otherText: "other_text" };
+
+// Comment text that may be shown / exported / sent to AI: redacted, and only once released
+function releasedTexts(row) {
+  const released = row.review_status === "clear" || row.review_status === "approved";
+  const redacted = row.redacted_json || {};
+  return Object.fromEntries(OPEN_QUESTION_IDS.map(id => [id, released ? safeText(redacted[id]) || null : null]));
+}
+
+// Released comments grouped by question, as the detail view and AI prompts use them
+function commentLists(rows) {
+  const released = rows.map(releasedTexts);
+  return {
+    strengths: released.map(t => t.strengthsText).filter(Boolean),
+    devs: released.map(t => t.devText).filter(Boolean),
+    others: released.map(t => t.otherText).filter(Boolean)
+  };
+}
+
+const REDACTION_RESCAN_CHUNK = 500;
+
+// jsonb does not keep key order, so compare stored objects key by key
+function sameJsonEntries(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b || {}).length && keys.every(k => JSON.stringify(a[k]) === JSON.stringify(b[k]));
+}
+
+/**
+ * Re-runs redaction for live responses nobody has reviewed yet (after names/terms change). Works
+ * through them in id order, a chunk at a time, and writes only the rows whose result changed in one
+ * statement per chunk; rows reviewed in the meantime are left alone. Returns how many were changed.
+ */
+async function rescanUnreviewedRedactions(db = pool) {
+  const terms = await loadRedactionTerms(db);
+  let changed = 0;
+  let after = -1;
+  for (;;) {
+    const r = await db.query(
+      `
+      SELECT id, strengths_text, dev_text, other_text, redacted_json, redaction_flags, review_status
+      FROM feedback
+      WHERE deleted_at IS NULL AND (review_status IN ('clear', 'pending') OR redacted_json IS NULL) AND id > $1
+      ORDER BY id ASC
+      LIMIT $2
+      `,
+      [after, REDACTION_RESCAN_CHUNK]
+    );
+    if (!r.rowCount) return changed;
+    after = r.rows[r.rowCount - 1].id;
+
+    const updates = [];
+    for (const row of r.rows) {
+      const texts = Object.fromEntries(OPEN_QUESTION_IDS.map(id => [id, row[FEEDBACK_TEXT_COLUMNS[id]]]));
+      const { redacted, flags, status } = redactResponse(texts, terms);
+      const same = row.redacted_json != null && status === row.review_status &&
+        sameJsonEntries(redacted, row.redacted_json) && sameJsonEntries(flags, row.redaction_flags);
+      if (!same) updates.push({ id: row.id, redacted, flags, status });
+    }
+    if (!updates.length) continue;
+
+    const u = await db.query(
+      `
+      UPDATE feedback f
+      SET redacted_json = x.redacted, redaction_flags = x.flags, review_status = x.status
+      FROM jsonb_to_recordset($1::jsonb) AS x(id INT, redacted JSONB, flags JSONB, status TEXT)
+      WHERE f.id = x.id AND (f.review_status IN ('clear', 'pending') OR f.redacted_json IS NULL)
+      `,
+      [JSON.stringify(updates)]
+    );
+    changed += u.rowCount;
+  }
+}
+
+// TL and roster saves change the name list; their rescan runs after the response, one at a time
+let redactionRescan = null;
+let redactionRescanAgain = false;
+function queueRedactionRescan() {
+  if (redactionRescan) {
+    redactionRescanAgain = true;
+    return;
+  }
+  redactionRescan = rescanUnreviewedRedactions()
+    .catch(e => console.error("Error rescanning redactions:", e))
+    .finally(() => {
+      redactionRescan = null;
+      if (redactionRescanAgain) {
+        redactionRescanAgain = false;
+        queueRedactionRescan();
+      }
+    });
+}
+
+// Averages overall + per-question scores across feedback rows.
+function aggregateFeedback(rows) {
+  const sums = {};
+  const counts = {};
+  let overallSum = 0;
+
+  for (const row of rows) {
+    overallSum += Number(row.overall_score);
+    const scores = row.scores_json || {};
+    for (const [qid, val] of Object.entries(scores)) {
+      const n = Number(val);
+      if (!Number.isFinite(n)) continue;
+      sums[qid] = (sums[qid] || 0) + n;
+      counts[qid] = (counts[qid] || 0) + 1;
+    }
+  }
+
+  const questionAverages = {};
+  for (const qid of Object.keys(sums)) {
+    questionAverages[qid] = sums[qid] / (counts[qid] || 1);
+  }
+
+  return {
+    responseCount: rows.length,
+    avgOverall: rows.length ? overallSum / rows.length : null,
+    questionAverages,
+    questionCounts: counts
+  };
+}
+
+function meetsAnonymityThreshold(responseCount) {
+  return responseCount >= ANONYMITY_THRESHOLD;
+}
+
+// Keeps the response count but drops every score when the group is too small to stay anonymous.
+// Questions only some rater groups are asked get the same check on their own answer count.
+function withholdIfTooFew(agg, definition) {
+  if (meetsAnonymityThreshold(agg.responseCount)) {
+    const questionAverages = Object.fromEntries(
+      Object.entries(agg.questionAverages).filter(([qid]) => meetsAnonymityThreshold(agg.questionCounts?.[qid] ?? agg.responseCount))
+    );
+    return {
+      ...agg,
+      questionAverages,
+      categoryAverages: computeCategoryAverages(questionAverages, definition),
+      suppressed: false
+    };
+  }
+  return {
+    responseCount: agg.responseCount,
+    avgOverall: null,
+    questionAverages: {},
+    categoryAverages: computeCategoryAverages({}, definition),
+    suppressed: true
+  };
+}
+
+/**
+ * Applies the anonymity threshold per rater group for one TL (rows need rater_group).
+ * Groups under it are pooled into one "combined" group when there are two or more of
+ * them. Responses left in a group that is still too small are kept out of the headline
+ * figures as well, or they could be worked out by subtracting the reported groups from
+ * the total. Returns { rows: those the headline may use, withheldResponses, groups }.
+ */
+function splitByRaterGroup(rows, definition) {
+  const byGroup = new Map();
+  for (const row of rows) {
+    const g = RATER_GROUPS.includes(row.rater_group) ? row.rater_group : DEFAULT_RATER_GROUP;
+    if (!byGroup.has(g)) byGroup.set(g, []);
+    byGroup.get(g).push(row);
+  }
+  const present = RATER_GROUPS.filter(g => byGroup.has(g));
+  const small = present.filter(g => !meetsAnonymityThreshold(byGroup.get(g).length));
+  const combinedRows = small.length >= 2 ? small.flatMap(g => byGroup.get(g)) : [];
+  const combinedReported = meetsAnonymityThreshold(combinedRows.length);
+  const anyReported = present.length > small.length || combinedReported;
+
+  const counted = g => !small.includes(g) || combinedReported;
+  const included = anyReported ? present.filter(counted).flatMap(g => byGroup.get(g)) : rows;
+
+  const groups = present.map(g => ({
+    raterGroup: g,
+    label: RATER_GROUP_LABELS[g],
+    ...withholdIfTooFew(aggregateFeedback(byGroup.get(g)), definition),
+    inCombined: small.includes(g) && combinedReported
+  }));
+  if (combinedReported) {
+    groups.push({
+      raterGroup: "combined",
+      label: `${small.map(g => RATER_GROUP_LABELS[g]).join(" + ")} (combined)`,
+      ...withholdIfTooFew(aggregateFeedback(combinedRows), definition),
+      inCombined: false
+    });
+  }
+  return { rows: included, withheldResponses: rows.length - included.length, groups };
+}
+
+// API shape of splitByRaterGroup().groups
+function raterGroupSummary(group) {
+  return {
+    raterGroup: group.raterGroup,
+    label: group.label,
+    responseCount: group.responseCount,
+    avgOverall: group.avgOverall,
+    questionAverages: group.questionAverages,
+    categoryAverages: group.categoryAverages,
+    suppressed: group.suppressed,
+    inCombined: group.inCombined
+  };
+}
+
+// Score interpretation bands, highest first: a score gets the first band whose min it reaches,
+// and anything below the last min falls into the last band. Configurable per organisation
+// (app_settings "score_bands"); scoreBands holds the active set so interpretScore stays synchronous.
+const DEFAULT_SCORE_BANDS = [
+  { min: 4.25, label: "Very strong", band: "good" },
+  { min: 3.75, label: "Strong", band: "good" },
+  { min: 3.25, label: "Generally positive", band: "mixed" },
+  { min: 3.0, label: "Mixed", band: "mixed" },
+  { min: 0, label: "Needs improvement", band: "bad" }
+];
+const SCORE_BAND_COLOURS = ["good", "mixed", "bad"];
+let scoreBands = DEFAULT_SCORE_BANDS;
+
+// Returns an error message, or null if the bands are usable
+function validateScoreBands(bands) {
+  if (!Array.isArray(bands) || bands.length < 2 || bands.length > 8) return "bands must be a list of 2 to 8 bands";
+  for (const [i, b] of bands.entries()) {
+    if (!Number.isFinite(b?.min)) return `band ${i + 1} needs a numeric min`;
+    if (!safeText(b.label) || safeText(b.label).length > 40) return `band ${i + 1} needs a label of at most 40 characters`;
+    if (!SCORE_BAND_COLOURS.includes(b.band)) return `band ${i + 1} band must be one of ${SCORE_BAND_COLOURS.join(", ")}`;
+    if (i > 0 && b.min >= bands[i - 1].min) return "bands must be ordered from the highest min to the lowest";
+  }
+  return null;
+}
+
+async function loadScoreBands() {
+  const r = await pool.query(`SELECT value_json FROM app_settings WHERE key = 'score_bands'`);
+  const stored = r.rows[0]?.value_json;
+  scoreBands = stored && !validateScoreBands(stored) ? stored : DEFAULT_SCORE_BANDS;
+}
+
+function interpretScore(score) {
+  if (score == null || !Number.isFinite(Number(score))) return { label: "No data", band: "nodata" };
+  const s = Number(score);
+  const hit = scoreBands.find(b => s >= b.min) || scoreBands[scoreBands.length - 1];
+  return { label: hit.label, band: hit.band };
+}
+
+// Campaign lifecycle: draft -> open -> closed -> archived (open/closed can be toggled)
+const CAMPAIGN_STATUSES = ["draft", "open", "closed", "archived"];
+
+// Two weakest scored categories
+function computeActionAreas(catScores) {
+  const catEntries = Object.entries(catScores).filter(([_, v]) => v != null);
+  catEntries.sort((a, b) => (a[1] ?? 0) - (b[1] ?? 0)); // weakest first
+  return catEntries.slice(0, 2).map(([cat, v]) => ({
+    category: cat,
+    avg: v,
+    interpretation: interpretScore(v).label
+  }));
+}
+
+// Self-rating vs the team's average that counts as a notable gap (scale points)
+const SELF_GAP_THRESHOLD = 0.5;
+
+/**
+ * Lines the TL's self-assessment up against the team's averages. gap = self - others:
+ * at or above SELF_GAP_THRESHOLD it is a blind spot (they rate themselves higher than
+ * the team does), at or below -SELF_GAP_THRESHOLD a hidden strength. No gaps while the
+ * team's scores are withheld, since self + gap would give the withheld average away.
+ */
+function selfAssessmentGaps(selfRow, others, definition) {
+  if (!selfRow) return null;
+  const questionScores = Object.fromEntries(
+    Object.entries(selfRow.scores_json || {}).map(([qid, v]) => [qid, Number(v)]).filter(([, v]) => Number.isFinite(v))
+  );
+  const categoryScores = computeCategoryAverages(questionScores, definition);
+  const out = {
+    submittedAt: selfRow.created_at,
+    overall: Number(selfRow.overall_score),
+    questionScores,
+    categoryScores,
+    gapThreshold: SELF_GAP_THRESHOLD,
+    gaps: null,
+    blindSpots: [],
+    hiddenStrengths: []
+  };
+  if (others.suppressed || !others.responseCount) return out;
+
+  const diff = (a, b) => (a == null || b == null ? null : a - b);
+  const questionText = Object.fromEntries(
+    (definition.categories || []).flatMap(c => (c.questions || []).map(q => [q.id, q.text]))
+  );
+  out.gaps = {
+    overall: diff(out.overall, others.avgOverall),
+    questions: Object.fromEntries(Object.keys(questionScores).map(q => [q, diff(questionScores[q], others.questionAverages[q])])),
+    categories: Object.fromEntries(Object.keys(categoryScores).map(c => [c, diff(categoryScores[c], others.categoryAverages[c])]))
+  };
+
+  const flag = (type, id, label, self, team, gap) => {
+    if (gap == null) return;
+    const entry = { type, id, label, self, others: team, gap };
+    if (gap >= SELF_GAP_THRESHOLD) out.blindSpots.push(entry);
+    else if (gap <= -SELF_GAP_THRESHOLD) out.hiddenStrengths.push(entry);
+  };
+  for (const [c, gap] of Object.entries(out.gaps.categories)) flag("category", c, c, categoryScores[c], others.categoryAverages[c], gap);
+  for (const [q, gap] of Object.entries(out.gaps.questions)) {
+    flag("question", q, questionText[q] || q, questionScores[q], others.questionAverages[q], gap);
+  }
+  out.blindSpots.sort((a, b) => b.gap - a.gap);
+  out.hiddenStrengths.sort((a, b) => a.gap - b.gap);
+  return out;
+}
+
+// -----------------------------
+// Benchmarks
+// -----------------------------
+// Statistics over TL averages (one value per TL per cycle, so bigger teams don't weigh more).
+// Only TLs whose own scores are reported count, and a benchmark needs BENCHMARK_MIN_LEADERS of
+// them: with fewer, its quartiles would be close to giving individual TLs' scores away.
+const BENCHMARK_MIN_LEADERS = 3;
+
+// Linear interpolation between closest ranks; values sorted ascending
+function quantile(sorted, p) {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function benchmarkStats(values) {
+  if (values.length < BENCHMARK_MIN_LEADERS) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    leaderCount: sorted.length,
+    mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+    median: quantile(sorted, 0.5),
+    q1: quantile(sorted, 0.25),
+    q3: quantile(sorted, 0.75)
+  };
+}
+
+// Share of the benchmark below value (ties count half), 0-100
+function percentileRank(values, value) {
+  if (values.length < BENCHMARK_MIN_LEADERS || value == null) return null;
+  const below = values.filter(v => v < value).length;
+  const equal = values.filter(v => v === value).length;
+  return Math.round(((below + equal / 2) / values.length) * 100);
+}
+
+/**
+ * Reportable TL averages per cycle, from aggregateFeedback/withholdIfTooFew like every other view.
+ * teamLeaderId limits it to one TL; otherwise every TL in every live cycle is included.
+ * Returns [{ campaignId, campaignLabel, startedAt, teamLeaderId, departmentId, siteId, avgOverall, categoryAverages,
+ * questionAverages }].
+ */
+async function loadLeaderAverages(teamLeaderId = null) {
+  const r = await pool.query(
+    `
+    SELECT f.campaign_id, f.team_leader_id, f.scores_json, f.overall_score, f.rater_group,
+           c.label AS campaign_label, COALESCE(c.opens_at, c.created_at) AS started_at,
+           t.department_id, t.site_id
+    FROM feedback f
+    JOIN campaigns c ON c.id = f.campaign_id AND c.deleted_at IS NULL
+    JOIN team_leaders t ON t.id = f.team_leader_id AND t.deleted_at IS NULL
+    WHERE f.deleted_at IS NULL AND ($1::text IS NULL OR f.team_leader_id = $1)
+    `,
+    [teamLeaderId]
+  );
+
+  const byLeader = new Map();
+  for (const row of r.rows) {
+    const k = `${row.campaign_id}\u0000${row.team_leader_id}`;
+    if (!byLeader.has(k)) byLeader.set(k, []);
+    byLeader.get(k).push(row);
+  }
+
+  const templates = new Map();
+  const out = [];
+  for (const rows of byLeader.values()) {
+    const { campaign_id: cid, team_leader_id: tl } = rows[0];
+    if (!templates.has(cid)) templates.set(cid, await loadCampaignTemplate(cid));
+    const definition = templates.get(cid).definition;
+    const agg = withholdIfTooFew(aggregateFeedback(splitByRaterGroup(rows, definition).rows), definition);
+    if (agg.suppressed || agg.avgOverall == null) continue;
+    out.push({
+      campaignId: cid,
+      campaignLabel: rows[0].campaign_label,
+      startedAt: rows[0].started_at,
+      teamLeaderId: tl,
+      departmentId: rows[0].department_id,
+      siteId: rows[0].site_id,
+      avgOverall: agg.avgOverall,
+      categoryAverages: agg.categoryAverages,
+      questionAverages: agg.questionAverages
+    });
+  }
+  return out;
+}
+
+// { overall: [..], categories: { name: [..] }, questions: { id: [..] } }; categories and
+// questions are matched by name / id across questionnaire versions
+function benchmarkSeries(leaders) {
+  const series = { overall: [], categories: {}, questions: {} };
+  const push = (bucket, key, v) => {
+    if (v == null) return;
+    (bucket[key] = bucket[key] || []).push(v);
+  };
+  for (const l of leaders) {
+    series.overall.push(l.avgOverall);
+    for (const [k, v] of Object.entries(l.categoryAverages)) push(series.categories, k, v);
+    for (const [k, v] of Object.entries(l.questionAverages)) push(series.questions, k, v);
+  }
+  return series;
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v, k)]));
+}
+
+function benchmarkFromSeries(series) {
+  return {
+    overall: benchmarkStats(series.overall),
+    categories: mapValues(series.categories, benchmarkStats),
+    questions: mapValues(series.questions, benchmarkStats)
+  };
+}
+
+// Where one TL's (reported) averages sit against a benchmark series
+function benchmarkPosition(series, agg) {
+  const at = (values, value) => {
+    const stats = benchmarkStats(values || []);
+    if (!stats || value == null) return null;
+    return { value, median: stats.median, q1: stats.q1, q3: stats.q3, percentile: percentileRank(values, value) };
+  };
+  return {
+    overall: at(series.overall, agg.avgOverall),
+    categories: mapValues(agg.categoryAverages, (v, k) => at(series.categories[k], v)),
+    questions: mapValues(agg.questionAverages, (v, k) => at(series.questions[k], v))
+  };
+}
+
+// This cycle's benchmark plus the historic one over every cycle, optionally only for TLs now in
+// one department / site (parseOrgFilter). Callers needing several benchmarks pass `leaders`
+// (loadLeaderAverages()) so every TL's history is only loaded once.
+async function loadBenchmarks(campaignId, org = {}, leaders = null) {
+  const all = (leaders || await loadLeaderAverages()).filter(l =>
+    (!org.departmentId || l.departmentId === org.departmentId) && (!org.siteId || l.siteId === org.siteId)
+  );
+  const inCycle = all.filter(l => l.campaignId === campaignId);
+  return {
+    cycle: { series: benchmarkSeries(inCycle), leaderCount: inCycle.length },
+    historic: {
+      series: benchmarkSeries(all),
+      leaderCount: all.length,
+      cycleCount: new Set(all.map(l => l.campaignId)).size
+    }
+  };
+}
+
+// -----------------------------
+// Action plans
+// -----------------------------
+// Development goals agreed after a cycle, each tied to one of that cycle's categories
+const ACTION_PLAN_STATUSES = ["not-started", "in-progress", "done", "dropped"];
+
+function actionPlanFromRow(row) {
+  return {
+    id: row.id,
+    campaignId: row.campaign_id,
+    teamLeaderId: row.team_leader_id,
+    category: row.category,
+    goal: row.goal,
+    owner: row.owner,
+    dueDate: row.due_date,
+    status: row.status,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at,
+    checkins: []
+  };
+}
+
+/**
+ * A TL's plans (optionally for one cycle), with check-ins and followUp: how the plan's category
+ * scored in the plan's cycle and in the first later cycle that reported it. Only reported (not
+ * withheld) averages are used; followUp.after stays null until a later cycle has results.
+ * cycleIds, when given, limits both the plans and the follow-up to those cycles (the TL portal
+ * passes the cycles released to the TL).
+ */
+async function loadActionPlans(teamLeaderId, campaignId = null, cycleIds = null) {
+  const r = await pool.query(
+    `
+    SELECT p.id, p.campaign_id, p.team_leader_id, p.category, p.goal, p.owner, p.status,
+           to_char(p.due_date, 'YYYY-MM-DD') AS due_date,
+           p.created_by, p.created_at, p.updated_by, p.updated_at
+    FROM action_plans p
+    JOIN campaigns c ON c.id = p.campaign_id AND c.deleted_at IS NULL
+    WHERE p.team_leader_id = $1 AND ($2::text IS NULL OR p.campaign_id = $2)
+      AND ($3::text[] IS NULL OR p.campaign_id = ANY($3))
+    ORDER BY p.due_date ASC NULLS LAST, p.id ASC
+    `,
+    [teamLeaderId, campaignId, cycleIds]
+  );
+  const plans = r.rows.map(actionPlanFromRow);
+  if (!plans.length) return plans;
+
+  const c = await pool.query(
+    `SELECT id, plan_id, note, status, created_by, created_at FROM action_plan_checkins WHERE plan_id = ANY($1) ORDER BY created_at ASC, id ASC`,
+    [plans.map(p => p.id)]
+  );
+  for (const row of c.rows) {
+    plans.find(p => p.id === row.plan_id).checkins.push({
+      id: row.id,
+      note: row.note,
+      status: row.status,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    });
+  }
+
+  const cycles = (await loadLeaderAverages(teamLeaderId))
+    .filter(x => !cycleIds || cycleIds.includes(x.campaignId))
+    .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+  for (const plan of plans) {
+    const origin = cycles.find(x => x.campaignId === plan.campaignId);
+    const later = origin
+      ? cycles.filter(x => new Date(x.startedAt) > new Date(origin.startedAt))
+      : [];
+    const next = later.find(x => x.categoryAverages[plan.category] != null);
+    const before = origin?.categoryAverages[plan.category] ?? null;
+    const after = next ? next.categoryAverages[plan.category] : null;
+    plan.followUp = {
+      before,
+      after,
+      delta: before == null || after == null ? null : after - before,
+      cycleId: next?.campaignId ?? null,
+      cycleLabel: next?.campaignLabel ?? null
+    };
+  }
+  return plans;
+}
+
+// Plan fields as posted by the admin page or the TL portal: { error } or the parsed values
+function parseActionPlanInput(body) {
+  const goal = safeText(body?.goal);
+  const owner = safeText(body?.owner);
+  const category = safeText(body?.category);
+  const status = safeText(body?.status) || "not-started";
+  const due = parseOptionalDate(body?.dueDate);
+
+  if (!goal || goal.length > 1000) return { error: "goal is required (max 1000 characters)" };
+  if (owner.length > 100) return { error: "owner must be at most 100 characters" };
+  if (!ACTION_PLAN_STATUSES.includes(status)) return { error: `status must be one of ${ACTION_PLAN_STATUSES.join(", ")}` };
+  if (due.error) return { error: "dueDate must be a date" };
+  return { goal, owner, category, status, dueDate: due.value };
+}
+
+function parseCheckinInput(body) {
+  const planId = Number(body?.planId);
+  const note = safeText(body?.note);
+  const status = safeText(body?.status) || null;
+  if (!Number.isInteger(planId)) return { error: "planId required" };
+  if (!note || note.length > 2000) return { error: "note is required (max 2000 characters)" };
+  if (status && !ACTION_PLAN_STATUSES.includes(status)) return { error: `status must be one of ${ACTION_PLAN_STATUSES.join(", ")}` };
+  return { planId, note, status };
+}
+
+// Categories come from the questionnaire version the cycle used; returns an error message or null
+async function actionPlanCategoryError(campaignId, category) {
+  const template = await loadCampaignTemplate(campaignId);
+  const categories = (template.definition.categories || []).map(c => c.name);
+  return categories.includes(category) ? null : `category must be one of: ${categories.join(", ")}`;
+}
+
+// Inserts a plan, or updates plan `id`; returns its id
+async function writeActionPlan({ id, campaignId, teamLeaderId, input, username }) {
+  const values = [input.category, input.goal, input.owner, input.dueDate, input.status, username];
+  const r = id != null
+    ? await pool.query(
+      `
+      UPDATE action_plans
+      SET category = $1, goal = $2, owner = $3, due_date = $4, status = $5, updated_by = $6, updated_at = now()
+      WHERE id = $7
+      RETURNING id
+      `,
+      [...values, id]
+    )
+    : await pool.query(
+      `
+      INSERT INTO action_plans (category, goal, owner, due_date, status, created_by, campaign_id, team_leader_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+      `,
+      [...values, campaignId, teamLeaderId]
+    );
+  return r.rows[0].id;
+}
+
+// Adds a check-in and, when status is given, moves the plan on in the same transaction; returns its id
+async function addActionPlanCheckin({ planId, note, status, username }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const r = await client.query(
+      `INSERT INTO action_plan_checkins (plan_id, note, status, created_by) VALUES ($1, $2, $3, $4) RETURNING id`,
+      [planId, note, status, username]
+    );
+    if (status) {
+      await client.query(
+        `UPDATE action_plans SET status = $1, updated_by = $2, updated_at = now() WHERE id = $3`,
+        [status, username, planId]
+      );
+    }
+    await client.query("COMMIT");
+    return r.rows[0].id;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+function formatWindowDate(d) {
+  return new Date(d).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short", timeZone: "Europe/London" });
+}
+
+// Returns null when the cycle accepts feedback, otherwise a respondent-facing message.
+function campaignClosedReason(c, now = new Date()) {
+  if (!c) return "This feedback cycle is no longer available.";
+  if (c.status === "draft") return "This feedback cycle has not opened yet. Please try again later.";
+  if (c.status === "closed" || c.status === "archived") {
+    return "This feedback cycle has closed. Thank you for your interest.";
+  }
+  if (c.opens_at && new Date(c.opens_at) > now) {
+    return `This feedback cycle opens on ${formatWindowDate(c.opens_at)}.`;
+  }
+  if (c.closes_at && new Date(c.closes_at) <= now) {
+    return `This feedback cycle closed on ${formatWindowDate(c.closes_at)}.`;
+  }
+  return null;
+}
+
+// Respondent-facing reason a code can no longer start or submit a session, or null
+function codeUnusableReason(k, now = new Date()) {
+  if (k.revoked_at) return "This code has been withdrawn. Please ask for a new one.";
+  if (k.expires_at && new Date(k.expires_at) <= now) return "This code has expired. Please ask for a new one.";
+  return null;
+}
+
+function parseOptionalDate(v) {
+  if (v == null || v === "") return { value: null };
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return { error: true };
+  return { value: d };
+}
+
+function isEmail(v) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+}
+
+// Optional ?departmentId= / ?siteId= narrowing overview, benchmarks, exports and report packs
+function parseOrgFilter(q) {
+  const out = { departmentId: null, siteId: null };
+  for (const key of ["departmentId", "siteId"]) {
+    const v = q?.[key];
+    if (v == null || v === "") continue;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 1) return { error: `${key} must be an id` };
+    out[key] = n;
+  }
+  return out;
+}
+
+async function initDb() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id TEXT PRIMARY KEY,
+      label TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS questionnaire_templates (
+      id SERIAL PRIMARY KEY,
+      template_key TEXT NOT NULL,
+      version INT NOT NULL,
+      name TEXT NOT NULL,
+      definition_json JSONB NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now(),
+      UNIQUE (template_key, version)
+    );
+  `);
+
+  await pool.query(`
+    ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS template_id INT REFERENCES questionnaire_templates(id);
+  `);
+
+  await pool.query(`
+    ALTER TABLE campaigns
+      ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open'
+        CHECK (status IN ('draft', 'open', 'closed', 'archived')),
+      ADD COLUMN IF NOT EXISTS opens_at TIMESTAMPTZ NULL,
+      ADD COLUMN IF NOT EXISTS closes_at TIMESTAMPTZ NULL;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS team_leaders (
+      id TEXT PRIMARY KEY,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS codes (
+      id SERIAL PRIMARY KEY,
+      code TEXT UNIQUE NOT NULL,
+      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      used BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP NOT NULL DEFAULT now(),
+      used_at TIMESTAMP NULL
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS feedback (
+      id INT PRIMARY KEY,
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
+      scores_json JSONB NOT NULL,
+      overall_score NUMERIC NOT NULL,
+      strengths_text TEXT,
+      dev_text TEXT,
+      other_text TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id SERIAL PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('super-admin', 'hr-viewer', 'line-manager')),
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP NOT NULL DEFAULT now(),
+      last_login_at TIMESTAMP NULL
+    );
+  `);
+
+  // Line-manager scope: which team leaders each line manager may see
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS admin_user_team_leaders (
+      admin_user_id INT NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
+      PRIMARY KEY (admin_user_id, team_leader_id)
+    );
+  `);
+
+  // Soft delete ("Trash"): every read filters deleted_at IS NULL
+  await pool.query(`
+    ALTER TABLE campaigns
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP NULL,
+      ADD COLUMN IF NOT EXISTS deleted_by TEXT NULL;
+  `);
+  await pool.query(`
+    ALTER TABLE team_leaders
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP NULL,
+      ADD COLUMN IF NOT EXISTS deleted_by TEXT NULL;
+  `);
+  await pool.query(`
+    ALTER TABLE feedback
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP NULL,
+      ADD COLUMN IF NOT EXISTS deleted_by TEXT NULL;
+  `);
+
+  // Older databases: feedback ids came from a sequence (submission order). Shuffle them once, then
+  // stop using the sequence; new rows get random ids in /api/submit-feedback.
+  const idDefault = await pool.query(`
+    SELECT column_default FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'feedback' AND column_name = 'id'
+  `);
+  if (/^nextval/.test(idDefault.rows[0]?.column_default || "")) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(`UPDATE feedback SET id = -id`);
+      await client.query(`
+        UPDATE feedback f SET id = s.new_id
+        FROM (SELECT id, (row_number() OVER (ORDER BY random()))::int AS new_id FROM feedback) s
+        WHERE f.id = s.id
+      `);
+      await client.query(`ALTER TABLE feedback ALTER COLUMN id DROP DEFAULT`);
+      await client.query("COMMIT");
+      console.log("Shuffled existing feedback ids.");
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Redacted copies of the comments + review state ('clear' | 'pending' | 'approved' | 'excluded')
+  await pool.query(`
+    ALTER TABLE feedback
+      ADD COLUMN IF NOT EXISTS redacted_json JSONB NULL,
+      ADD COLUMN IF NOT EXISTS redaction_flags JSONB NULL,
+      ADD COLUMN IF NOT EXISTS review_status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (review_status IN ('clear', 'pending', 'approved', 'excluded')),
+      ADD COLUMN IF NOT EXISTS reviewed_by TEXT NULL,
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP NULL;
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS redaction_terms (
+      term TEXT PRIMARY KEY,
+      created_by TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+
+  // Day-level dates only, so a submission can't be matched to who was on shift
+  await pool.query(`UPDATE feedback SET created_at = date_trunc('day', created_at) WHERE created_at <> date_trunc('day', created_at)`);
+  await pool.query(`UPDATE codes SET used_at = date_trunc('day', used_at) WHERE used_at <> date_trunc('day', used_at)`);
+
+  // Append-only: no FKs (entries outlive what they describe) and a trigger blocks UPDATE/DELETE/TRUNCATE
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor_id INT NULL,
+      actor_username TEXT NOT NULL,
+      action TEXT NOT NULL,
+      campaign_id TEXT NULL,
+      team_leader_id TEXT NULL,
+      affected_rows INT NULL,
+      details_json JSONB NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log (created_at DESC);`);
+  await pool.query(`
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await pool.query(`DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log;`);
+  await pool.query(`
+    CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+  `);
+  await pool.query(`DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;`);
+  await pool.query(`
+    CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+  `);
+
+  // Failed code entries / admin logins; the guessed code itself is never stored
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS auth_failures (
+      id BIGSERIAL PRIMARY KEY,
+      kind TEXT NOT NULL CHECK (kind IN ('code', 'admin')),
+      ip TEXT NOT NULL,
+      identifier TEXT NULL,
+      user_agent TEXT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS auth_failures_kind_created_idx ON auth_failures (kind, created_at DESC);`);
+  // TL portal logins are throttled like admin logins
+  await pool.query(`
+    ALTER TABLE auth_failures DROP CONSTRAINT IF EXISTS auth_failures_kind_check;
+    ALTER TABLE auth_failures ADD CONSTRAINT auth_failures_kind_check CHECK (kind IN ('code', 'admin', 'tl'));
+  `);
+  await pool.query(
+    `DELETE FROM auth_failures WHERE created_at < now() - make_interval(days => $1)`,
+    [AUTH_FAILURE_RETENTION_DAYS]
+  );
+
+  // One row per generate-codes call; codes point back at the batch they came from
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS code_batches (
+      id SERIAL PRIMARY KEY,
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      team_leader_ids TEXT[] NOT NULL,
+      per_leader_count INT NOT NULL,
+      created_by INT NULL REFERENCES admin_users(id) ON DELETE SET NULL,
+      created_by_username TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    ALTER TABLE codes ADD COLUMN IF NOT EXISTS batch_id INT NULL REFERENCES code_batches(id) ON DELETE SET NULL;
+  `);
+  await pool.query(`
+    ALTER TABLE codes
+      ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ NULL,
+      ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP NULL,
+      ADD COLUMN IF NOT EXISTS revoked_by TEXT NULL;
+  `);
+
+  // In-progress answers, one per code; removed when the code submits or is purged
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS feedback_drafts (
+      code_id INT PRIMARY KEY REFERENCES codes(id) ON DELETE CASCADE,
+      answers_json JSONB NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS session_ttl_minutes INT NULL;
+  `);
+
+  // Self-assessment: a 'self' code lets the TL answer the same questionnaire about themselves.
+  // Their answers go to self_assessments (one per TL per cycle), never into feedback.
+  await pool.query(`
+    ALTER TABLE codes ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'team' CHECK (kind IN ('team', 'self'));
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS self_assessments (
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
+      scores_json JSONB NOT NULL,
+      overall_score NUMERIC NOT NULL,
+      strengths_text TEXT NULL,
+      dev_text TEXT NULL,
+      other_text TEXT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now(),
+      PRIMARY KEY (campaign_id, team_leader_id)
+    );
+  `);
+
+  // Rater group (direct-report / peer / manager / other) travels from the batch to its codes
+  // and on to each response, so scores can be broken down per group
+  await pool.query(`
+    ALTER TABLE code_batches ADD COLUMN IF NOT EXISTS rater_group TEXT NOT NULL DEFAULT 'direct-report';
+  `);
+  await pool.query(`
+    ALTER TABLE codes ADD COLUMN IF NOT EXISTS rater_group TEXT NOT NULL DEFAULT 'direct-report'
+      CHECK (rater_group IN ('direct-report', 'peer', 'manager', 'other'));
+  `);
+  await pool.query(`
+    ALTER TABLE feedback ADD COLUMN IF NOT EXISTS rater_group TEXT NOT NULL DEFAULT 'direct-report'
+      CHECK (rater_group IN ('direct-report', 'peer', 'manager', 'other'));
+  `);
+
+  // Generated AI summaries, kept so they can be edited, approved and reused in reports.
+  // input_hash fingerprints the responses a summary was written from (stale when it no longer matches).
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ai_summaries (
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
+      audience TEXT NOT NULL CHECK (audience IN ('manager', 'tl')),
+      summary_text TEXT NOT NULL,
+      generated_text TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'approved')),
+      prompt_version INT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT NULL,
+      response_count INT NOT NULL,
+      input_hash TEXT NOT NULL,
+      generated_by TEXT NOT NULL,
+      generated_at TIMESTAMP NOT NULL DEFAULT now(),
+      edited_by TEXT NULL,
+      edited_at TIMESTAMP NULL,
+      approved_by TEXT NULL,
+      approved_at TIMESTAMP NULL,
+      PRIMARY KEY (campaign_id, team_leader_id, audience)
+    );
+  `);
+  // Offline summaries used to quote a respondent's sentence word for word; strip it from any already stored
+  await pool.query(`
+    UPDATE ai_summaries SET
+      summary_text = regexp_replace(summary_text, '\n- Typical comment: "[^\n]*"', '', 'g'),
+      generated_text = regexp_replace(generated_text, '\n- Typical comment: "[^\n]*"', '', 'g')
+    WHERE provider = 'extractive'
+      AND (summary_text LIKE '%- Typical comment: "%' OR generated_text LIKE '%- Typical comment: "%')
+  `);
+
+  // Organisation-wide settings (score bands, ...), one JSON value per key
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key TEXT PRIMARY KEY,
+      value_json JSONB NOT NULL,
+      updated_by TEXT NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+  await loadScoreBands();
+
+  // TL portal: one login per team leader (set by a super-admin), and which cycle reports
+  // each TL may see there. Nothing is visible in the portal until an admin releases it.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS team_leader_accounts (
+      team_leader_id TEXT PRIMARY KEY REFERENCES team_leaders(id) ON DELETE CASCADE,
+      password_hash TEXT NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT true,
+      password_set_by TEXT NOT NULL,
+      password_set_at TIMESTAMP NOT NULL DEFAULT now(),
+      last_login_at TIMESTAMP NULL
+    );
+  `);
+  await pool.query(`
+    ALTER TABLE team_leader_accounts ADD COLUMN IF NOT EXISTS session_version INT NOT NULL DEFAULT 0;
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS report_releases (
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
+      released_by TEXT NOT NULL,
+      released_at TIMESTAMP NOT NULL DEFAULT now(),
+      PRIMARY KEY (campaign_id, team_leader_id)
+    );
+  `);
+
+  // Development action plans agreed after a cycle, and dated check-ins against them
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS action_plans (
+      id SERIAL PRIMARY KEY,
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
+      category TEXT NOT NULL,
+      goal TEXT NOT NULL,
+      owner TEXT NOT NULL,
+      due_date DATE NULL,
+      status TEXT NOT NULL DEFAULT 'not-started'
+        CHECK (status IN ('not-started', 'in-progress', 'done', 'dropped')),
+      created_by TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now(),
+      updated_by TEXT NULL,
+      updated_at TIMESTAMP NULL
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS action_plans_tl_idx ON action_plans (team_leader_id, campaign_id);`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS action_plan_checkins (
+      id SERIAL PRIMARY KEY,
+      plan_id INT NOT NULL REFERENCES action_plans(id) ON DELETE CASCADE,
+      note TEXT NOT NULL,
+      status TEXT NULL CHECK (status IN ('not-started', 'in-progress', 'done', 'dropped')),
+      created_by TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+
+  // People records: team_leaders.id is a stable key and display_name what everyone sees, so a
+  // rename never splits a TL's history. Departments and sites are their own entities.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS departments (
+      id SERIAL PRIMARY KEY,
+      name TEXT UNIQUE NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sites (
+      id SERIAL PRIMARY KEY,
+      name TEXT UNIQUE NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    ALTER TABLE team_leaders
+      ADD COLUMN IF NOT EXISTS display_name TEXT NULL,
+      ADD COLUMN IF NOT EXISTS email TEXT NULL,
+      ADD COLUMN IF NOT EXISTS department_id INT NULL REFERENCES departments(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS site_id INT NULL REFERENCES sites(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS reports_to TEXT NULL REFERENCES team_leaders(id) ON DELETE SET NULL;
+  `);
+  // Older TLs were keyed by name: the id stays as it was and becomes the display name too
+  await pool.query(`UPDATE team_leaders SET display_name = id WHERE display_name IS NULL`);
+  await pool.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS team_leaders_email_idx ON team_leaders (lower(email))
+    WHERE email IS NOT NULL AND deleted_at IS NULL;
+  `);
+
+  // Roster: who is in each TL's team, imported from CSV. Used to count codes and to address email
+  // invitations; generated codes are never linked to a member, so responses stay anonymous.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS roster_members (
+      id SERIAL PRIMARY KEY,
+      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
+      member_key TEXT NOT NULL,
+      name TEXT NOT NULL,
+      email TEXT NULL,
+      imported_by TEXT NOT NULL,
+      imported_at TIMESTAMP NOT NULL DEFAULT now(),
+      UNIQUE (team_leader_id, member_key)
+    );
+  `);
+  // Batches issued one code per roster member have no single per-TL count
+  await pool.query(`
+    ALTER TABLE code_batches
+      ALTER COLUMN per_leader_count DROP NOT NULL,
+      ADD COLUMN IF NOT EXISTS from_roster BOOLEAN NOT NULL DEFAULT false;
+  `);
+  // Batches whose codes went out by email: admins only ever see their counts, never per-code status
+  await pool.query(`ALTER TABLE code_batches ADD COLUMN IF NOT EXISTS emailed BOOLEAN NOT NULL DEFAULT false;`);
+
+  // Email invitations: one row per roster member invited to a cycle. Email, name and code are held only
+  // while the code is unused, so reminders can reach it; submitting clears them and leaves email_hash (a keyed
+  // HMAC, see emailHash), which stops the member being invited twice. Admin endpoints only ever return totals.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS email_templates (
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL CHECK (kind IN ('invite', 'reminder')),
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      updated_by TEXT NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT now(),
+      PRIMARY KEY (campaign_id, kind)
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS invitations (
+      id SERIAL PRIMARY KEY,
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      team_leader_id TEXT NOT NULL REFERENCES team_leaders(id) ON DELETE CASCADE,
+      email_hash TEXT NOT NULL,
+      email TEXT NULL,
+      name TEXT NULL,
+      code_id INT NULL REFERENCES codes(id) ON DELETE CASCADE,
+      base_url TEXT NOT NULL,
+      sent_at TIMESTAMP NULL,
+      last_error TEXT NULL,
+      reminder_count INT NOT NULL DEFAULT 0,
+      last_reminded_at TIMESTAMP NULL,
+      created_by TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS invitations_member_idx ON invitations (campaign_id, team_leader_id, email_hash);
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS email_reminders (
+      id SERIAL PRIMARY KEY,
+      campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      send_at TIMESTAMPTZ NOT NULL,
+      started_at TIMESTAMP NULL,
+      finished_at TIMESTAMP NULL,
+      cancelled_at TIMESTAMP NULL,
+      sent_count INT NULL,
+      failed_count INT NULL,
+      created_by TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT now()
+    );
+  `);
+
+  // Bootstrap the first super-admin from ADMIN_USERNAME / ADMIN_PASSWORD
+  const adminCount = await pool.query(`SELECT COUNT(*)::int AS c FROM admin_users;`);
+  if (adminCount.rows[0].c === 0) {
+    if (!ADMIN_PASSWORD) throw new Error("Missing ADMIN_PASSWORD (needed to create the first admin user)");
+    await pool.query(
+      `INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, 'super-admin')`,
+      [ADMIN_USERNAME, await hashPassword(ADMIN_PASSWORD)]
+    );
+    console.log(`Created super-admin "${ADMIN_USERNAME}".`);
+  }
+
+  // Seed TLs if empty
+  const tlCount = await pool.query(`SELECT COUNT(*)::int AS c FROM team_leaders;`);
+  if (tlCount.rows[0].c === 0) {
+    const seed = ["Gill", "Kristian", "Nicola", "Teri", "Trish", "Kate-Marie", "Katie"];
+    for (const name of seed) {
+      await pool.query(
+        `INSERT INTO team_leaders (id, display_name, active) VALUES ($1, $2, true) ON CONFLICT (id) DO NOTHING;`,
+        [newTeamLeaderId(), name]
+      );
+    }
+    console.log("Seeded default team leaders.");
+  }
+
+  // Seed the default questionnaire and pin any older cycles to it
+  const tplCount = await pool.query(`SELECT COUNT(*)::int AS c FROM questionnaire_templates;`);
+  if (tplCount.rows[0].c === 0) {
+    await pool.query(
+      `INSERT INTO questionnaire_templates (template_key, version, name, definition_json) VALUES ($1, 1, $2, $3)`,
+      [DEFAULT_TEMPLATE_KEY, "Team Leader 360 (default)", JSON.stringify(DEFAULT_TEMPLATE)]
+    );
+    console.log("Seeded default questionnaire template.");
+  }
+  await pool.query(
+    `
+    UPDATE campaigns
+    SET template_id = (
+      SELECT id FROM questionnaire_templates WHERE template_key = $1 ORDER BY version ASC LIMIT 1
+    )
+    WHERE template_id IS NULL
+    `,
+    [DEFAULT_TEMPLATE_KEY]
+  );
+
+  // Comments saved before redaction existed get redacted now
+  const unredacted = await pool.query(`SELECT 1 FROM feedback WHERE redacted_json IS NULL LIMIT 1`);
+  if (unredacted.rowCount) {
+    const n = await rescanUnreviewedRedactions();
+    console.log(`Redacted ${n} existing responses.`);
+  }
+
+  console.log("Postgres schema initialised.");
+}
+
+app.get("/health", async (req, res) => {
+  try {
+    await pool.query("SELECT 1;");
+    res.json({ ok: true });
+  } catch {
+    res.status(500).json({ ok: false });
+  }
+});
+
+// -----------------------------
+// PUBLIC API (Questionnaire)
+// -----------------------------
+
+app.post("/api/start-session", async (req, res) => {
+  const code = safeUpper(req.body?.code);
+  if (!code) return res.status(400).json({ error: "Code is required." });
+
+  try {
+    const lock = await checkAuthThrottle("code", req.ip);
+    if (lock) return sendThrottled(res, lock);
+
+    const r = await pool.query(
+      `
+      SELECT k.id, k.used, k.expires_at, k.revoked_at, k.campaign_id, k.team_leader_id,
+             c.status, c.opens_at, c.closes_at, c.session_ttl_minutes,
+             EXISTS (SELECT 1 FROM feedback_drafts d WHERE d.code_id = k.id) AS has_draft
+      FROM codes k
+      JOIN campaigns c ON c.id = k.campaign_id AND c.deleted_at IS NULL
+      JOIN team_leaders tl ON tl.id = k.team_leader_id AND tl.deleted_at IS NULL
+      WHERE UPPER(TRIM(k.code)) = $1
+      LIMIT 1
+      `,
+      [code]
+    );
+
+    if (!r.rowCount) {
+      await recordAuthFailure("code", req);
+      return res.status(404).json({ error: "Invalid code." });
+    }
+    const row = r.rows[0];
+    if (row.used) return res.status(409).json({ error: "This code has already been used." });
+    const unusable = codeUnusableReason(row);
+    if (unusable) return res.status(403).json({ error: unusable });
+
+    const closedReason = campaignClosedReason(row);
+    if (closedReason) return res.status(403).json({ error: closedReason });
+
+    const ttlMinutes = row.session_ttl_minutes || DEFAULT_SESSION_TTL_MINUTES;
+    const sessionToken = signSessionToken({
+      codeId: row.id,
+      campaignId: row.campaign_id,
+      teamLeaderId: row.team_leader_id
+    }, ttlMinutes);
+
+    res.json({
+      ok: true,
+      sessionToken,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60000).toISOString(),
+      resumed: row.has_draft
+    });
+  } catch (e) {
+    console.error("Error in /api/start-session:", e);
+    res.status(500).json({ error: "Server error verifying code." });
+  }
+});
+
+// Questionnaire definition for the campaign the session belongs to
+app.post("/api/questionnaire", async (req, res) => {
+  const sessionToken = safeText(req.body?.sessionToken);
+  if (!sessionToken) return res.status(400).json({ error: "Missing sessionToken." });
+
+  let payload;
+  try {
+    payload = verifySessionToken(sessionToken);
+  } catch {
+    return res.status(401).json({ error: SESSION_EXPIRED_MESSAGE });
+  }
+
+  const { campaignId, codeId } = payload || {};
+  if (!campaignId) return res.status(400).json({ error: "Invalid session. Please start over." });
+
+  try {
+    const template = await loadCampaignTemplate(campaignId);
+    const d = await pool.query(`SELECT answers_json, updated_at FROM feedback_drafts WHERE code_id = $1`, [codeId]);
+    const k = await pool.query(`SELECT kind, rater_group FROM codes WHERE id = $1`, [codeId]);
+    const self = k.rows[0]?.kind === "self";
+    res.json({
+      templateId: template.id,
+      version: template.version,
+      questionnaire: questionnaireForRaterGroup(template.definition, self ? null : k.rows[0]?.rater_group),
+      // "self" when the TL is rating themselves; the page rewords the questions' framing
+      respondent: self ? "self" : "team",
+      limits: { maxTextLength: MAX_TEXT_LENGTH },
+      draft: d.rowCount ? { ...d.rows[0].answers_json, savedAt: d.rows[0].updated_at } : null
+    });
+  } catch (e) {
+    console.error("Error in /api/questionnaire:", e);
+    res.status(500).json({ error: "Server error loading questionnaire." });
+  }
+});
+
+app.post("/api/submit-feedback", async (req, res) => {
+  const sessionToken = safeText(req.body?.sessionToken);
+  if (!sessionToken) return res.status(400).json({ error: "Missing sessionToken." });
+
+  let payload;
+  try {
+    payload = verifySessionToken(sessionToken);
+  } catch {
+    return res.status(401).json({ error: SESSION_EXPIRED_MESSAGE });
+  }
+
+  const { codeId, campaignId, teamLeaderId } = payload || {};
+  if (!codeId || !campaignId || !teamLeaderId) {
+    return res.status(400).json({ error: "Invalid session. Please start over." });
+  }
+
+  let template;
+  let code;
+  try {
+    template = await loadCampaignTemplate(campaignId);
+    code = (await pool.query(`SELECT kind, rater_group FROM codes WHERE id = $1`, [codeId])).rows[0];
+  } catch (e) {
+    console.error("Error loading template in /api/submit-feedback:", e);
+    return res.status(500).json({ error: "Server error saving feedback." });
+  }
+  if (!code) return res.status(400).json({ error: "Invalid code session." });
+  const raterGroup = code.kind === "self" ? null : code.rater_group;
+
+  const { fieldErrors, scores, texts } = validateSubmission(questionnaireForRaterGroup(template.definition, raterGroup), req.body);
+  if (Object.keys(fieldErrors).length) {
+    return res.status(400).json({ error: "Please check the highlighted answers and try again.", fieldErrors });
+  }
+
+  const values = Object.values(scores);
+  const overall = values.reduce((a, b) => a + b, 0) / values.length;
+  const strengthsText = texts.strengthsText || null;
+  const devText = texts.devText || null;
+  const otherText = texts.otherText || null;
+
+  let redaction;
+  try {
+    // Self-assessments are not anonymous, so their comments are kept as written
+    redaction = code.kind === "self" ? null : redactResponse(texts, await loadRedactionTerms());
+  } catch (e) {
+    console.error("Error redacting in /api/submit-feedback:", e);
+    return res.status(500).json({ error: "Server error saving feedback." });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const codeRow = await client.query(
+      `SELECT used, expires_at, revoked_at, kind FROM codes WHERE id = $1 FOR UPDATE`,
+      [codeId]
+    );
+
+    if (!codeRow.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Invalid code session." });
+    }
+    if (codeRow.rows[0].used) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "This code has already been used." });
+    }
+    const unusable = codeUnusableReason(codeRow.rows[0]);
+    if (unusable) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: unusable });
+    }
+
+    const cam = await client.query(
+      `SELECT status, opens_at, closes_at FROM campaigns WHERE id = $1 AND deleted_at IS NULL`,
+      [campaignId]
+    );
+    const closedReason = campaignClosedReason(cam.rows[0]);
+    if (closedReason) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: closedReason });
+    }
+
+    if (codeRow.rows[0].kind === "self") {
+      const self = await client.query(
+        `
+        INSERT INTO self_assessments (campaign_id, team_leader_id, scores_json, overall_score, strengths_text, dev_text, other_text)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (campaign_id, team_leader_id) DO NOTHING
+        `,
+        [campaignId, teamLeaderId, JSON.stringify(scores), overall, strengthsText, devText, otherText]
+      );
+      if (!self.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: "A self-assessment has already been submitted for this cycle." });
+      }
+      await client.query(`UPDATE codes SET used = true, used_at = date_trunc('day', now()) WHERE id = $1`, [codeId]);
+      await client.query(`DELETE FROM feedback_drafts WHERE code_id = $1`, [codeId]);
+      await client.query("COMMIT");
+      return res.json({ ok: true });
+    }
+
+    // Random id + day-level date: nothing in the row reveals submission order or time
+    const inserted = await client.query(
+      `
+      INSERT INTO feedback (id, campaign_id, team_leader_id, scores_json, overall_score, strengths_text, dev_text, other_text,
+                            redacted_json, redaction_flags, review_status, rater_group, created_at)
+      SELECT candidate, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, date_trunc('day', now())
+      FROM unnest($1::int[]) AS candidate
+      WHERE NOT EXISTS (SELECT 1 FROM feedback WHERE id = candidate)
+      LIMIT 1
+      `,
+      [
+        Array.from({ length: 5 }, () => crypto.randomInt(1, 2 ** 31 - 1)),
+        campaignId, teamLeaderId, JSON.stringify(scores), overall, strengthsText, devText, otherText,
+        JSON.stringify(redaction.redacted), JSON.stringify(redaction.flags), redaction.status, raterGroup
+      ]
+    );
+    if (!inserted.rowCount) throw new Error("Could not allocate a feedback id");
+
+    await client.query(
+      `UPDATE codes SET used = true, used_at = date_trunc('day', now()) WHERE id = $1`,
+      [codeId]
+    );
+    await client.query(`DELETE FROM feedback_drafts WHERE code_id = $1`, [codeId]);
+    // An emailed code forgets who it was sent to once used
+    await client.query(`UPDATE invitations SET email = NULL, name = NULL, code_id = NULL WHERE code_id = $1`, [codeId]);
+
+    await client.query("COMMIT");
+    res.json({ ok: true });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    console.error("Error in /api/submit-feedback:", e);
+    res.status(500).json({ error: "Server error saving feedback." });
+  } finally {
+    client.release();
+  }
+});
+
+// Autosave of partial answers; the draft lives until the code submits
+app.post("/api/save-draft", async (req, res) => {
+  const sessionToken = safeText(req.body?.sessionToken);
+  if (!sessionToken) return res.status(400).json({ error: "Missing sessionToken." });
+
+  let payload;
+  try {
+    payload = verifySessionToken(sessionToken);
+  } catch {
+    return res.status(401).json({ error: SESSION_EXPIRED_MESSAGE });
+  }
+
+  const { codeId, campaignId } = payload || {};
+  if (!codeId || !campaignId) return res.status(400).json({ error: "Invalid session. Please start over." });
+
+  try {
+    const r = await pool.query(
+      `
+      SELECT k.used, k.expires_at, k.revoked_at, k.kind, k.rater_group, c.status, c.opens_at, c.closes_at
+      FROM codes k
+      JOIN campaigns c ON c.id = k.campaign_id AND c.deleted_at IS NULL
+      WHERE k.id = $1
+      `,
+      [codeId]
+    );
+    if (!r.rowCount) return res.status(400).json({ error: "Invalid code session." });
+    const row = r.rows[0];
+    if (row.used) return res.status(409).json({ error: "This code has already been used." });
+    const blocked = codeUnusableReason(row) || campaignClosedReason(row);
+    if (blocked) return res.status(403).json({ error: blocked });
+
+    const template = await loadCampaignTemplate(campaignId);
+    const draft = sanitiseDraft(questionnaireForRaterGroup(template.definition, row.kind === "self" ? null : row.rater_group), req.body);
+    const saved = await pool.query(
+      `
+      INSERT INTO feedback_drafts (code_id, answers_json, updated_at) VALUES ($1, $2, now())
+      ON CONFLICT (code_id) DO UPDATE SET answers_json = EXCLUDED.answers_json, updated_at = now()
+      RETURNING updated_at
+      `,
+      [codeId, JSON.stringify({ scores: draft.scores, ...draft.texts })]
+    );
+    res.json({ ok: true, savedAt: saved.rows[0].updated_at });
+  } catch (e) {
+    console.error("Error in /api/save-draft:", e);
+    res.status(500).json({ error: "Server error saving draft." });
+  }
+});
+
+// -----------------------------
+// TL PORTAL API (tl.html): a TL sees only their own reports, and only once released
+// -----------------------------
+
+// Released cycles for a TL, oldest first
+async function loadReleasedCycles(teamLeaderId) {
+  const r = await pool.query(
+    `
+    SELECT c.id, c.label, COALESCE(c.opens_at, c.created_at) AS started_at, rr.released_at
+    FROM report_releases rr
+    JOIN campaigns c ON c.id = rr.campaign_id AND c.deleted_at IS NULL
+    WHERE rr.team_leader_id = $1
+    ORDER BY started_at ASC, c.id ASC
+    `,
+    [teamLeaderId]
+  );
+  return r.rows;
+}
+
+/**
+ * One released cycle as the TL sees it. Comments follow the same rules as the headline scores:
+ * responses from a rater group too small to report are left out, and nothing is shown under
+ * MIN_COMMENTS_FOR_DISPLAY. The TL summary is only shown once approved and while still current.
+ */
+async function loadTlReport(campaignId, teamLeaderId) {
+  const r = await pool.query(
+    `
+    SELECT scores_json, overall_score, redacted_json, review_status, rater_group
+    FROM feedback
+    WHERE campaign_id = $1 AND team_leader_id = $2 AND deleted_at IS NULL
+    ORDER BY random()
+    `,
+    [campaignId, teamLeaderId]
+  );
+  const template = await loadCampaignTemplate(campaignId);
+  const byGroup = splitByRaterGroup(r.rows, template.definition);
+  const { questionCounts, ...headline } = withholdIfTooFew(aggregateFeedback(byGroup.rows), template.definition);
+
+  const comments = !headline.suppressed && byGroup.rows.length >= MIN_COMMENTS_FOR_DISPLAY
+    ? commentLists(byGroup.rows)
+    : null;
+
+  const stored = await loadStoredSummaries(campaignId, teamLeaderId, summaryInputHash(summaryRows(r.rows, template.definition)));
+  const tlSummary = stored.tl?.status === "approved" && !stored.tl.stale ? stored.tl.text : null;
+
+  return {
+    ...headline,
+    responseCount: r.rows.length,
+    anonymityThreshold: ANONYMITY_THRESHOLD,
+    actionAreas: computeActionAreas(headline.categoryAverages),
+    comments,
+    summary: tlSummary,
+    questionnaire: {
+      scale: template.definition.scale,
+      categories: template.definition.categories.map(c => ({
+        name: c.name,
+        questions: c.questions.map(q => ({ id: q.id, text: q.text }))
+      }))
+    }
+  };
+}
+
+app.post("/api/tl/login", async (req, res) => {
+  const teamLeaderId = safeText(req.body?.teamLeaderId);
+  const password = typeof req.body?.password === "string" ? req.body.password : "";
+  if (!teamLeaderId || !password) return res.status(400).json({ error: "name and password required" });
+
+  try {
+    const lock = await checkAuthThrottle("tl", req.ip, teamLeaderId.toLowerCase());
+    if (lock) return sendThrottled(res, lock);
+
+    // The id, email or display name may be typed; names can be shared, so the password decides
+    // between accounts and anything but exactly one match is a failed login
+    const r = await pool.query(
+      `
+      SELECT a.team_leader_id, a.password_hash, a.session_version, t.display_name
+      FROM team_leader_accounts a
+      JOIN team_leaders t ON t.id = a.team_leader_id AND t.deleted_at IS NULL
+      WHERE a.active = true
+        AND (lower(a.team_leader_id) = lower($1) OR lower(t.email) = lower($1) OR lower(t.display_name) = lower($1))
+      `,
+      [teamLeaderId]
+    );
+    const matches = [];
+    for (const row of r.rows) {
+      if (await verifyPassword(password, row.password_hash)) matches.push(row);
+    }
+    const account = matches.length === 1 ? matches[0] : null;
+    if (!account) {
+      await recordAuthFailure("tl", req, teamLeaderId.toLowerCase());
+      return res.status(401).json({ error: "Incorrect name or password." });
+    }
+
+    await pool.query(`UPDATE team_leader_accounts SET last_login_at = now() WHERE team_leader_id = $1`, [account.team_leader_id]);
+    await audit({ admin: { id: null, username: `tl:${account.team_leader_id}` } }, "tl.login", {
+      teamLeaderId: account.team_leader_id
+    });
+    res.json({
+      ok: true,
+      token: signTlToken(account.team_leader_id, account.session_version),
+      expiresIn: TL_TOKEN_TTL,
+      teamLeaderId: account.team_leader_id,
+      displayName: account.display_name
+    });
+  } catch (e) {
+    console.error("Error in /api/tl/login:", e);
+    res.status(500).json({ error: "Server error logging in." });
+  }
+});
+
+// Wrong current passwords count towards the same lockout as /api/tl/login. A change signs out every
+// other session; this one carries on with the returned token.
+app.post("/api/tl/password", tlAuth, async (req, res) => {
+  const current = typeof req.body?.currentPassword === "string" ? req.body.currentPassword : "";
+  const next = typeof req.body?.newPassword === "string" ? req.body.newPassword : "";
+  if (next.length < 10) return res.status(400).json({ error: "Password must be at least 10 characters." });
+  const throttleId = req.tl.teamLeaderId.toLowerCase();
+
+  try {
+    const lock = await checkAuthThrottle("tl", req.ip, throttleId);
+    if (lock) return sendThrottled(res, lock);
+
+    const r = await pool.query(`SELECT password_hash FROM team_leader_accounts WHERE team_leader_id = $1`, [req.tl.teamLeaderId]);
+    if (!(await verifyPassword(current, r.rows[0]?.password_hash))) {
+      await recordAuthFailure("tl", req, throttleId);
+      return res.status(400).json({ error: "Current password is incorrect." });
+    }
+    const u = await pool.query(
+      `
+      UPDATE team_leader_accounts
+      SET password_hash = $2, password_set_by = $3, password_set_at = now(), session_version = session_version + 1
+      WHERE team_leader_id = $1
+      RETURNING session_version
+      `,
+      [req.tl.teamLeaderId, await hashPassword(next), req.admin.username]
+    );
+    await audit(req, "tl.password-change", { teamLeaderId: req.tl.teamLeaderId });
+    res.json({ ok: true, token: signTlToken(req.tl.teamLeaderId, u.rows[0].session_version), expiresIn: TL_TOKEN_TTL });
+  } catch (e) {
+    console.error("Error in /api/tl/password:", e);
+    res.status(500).json({ error: "Server error changing password." });
+  }
+});
+
+// Released cycles with headline figures, for the list and the trend chart
+app.get("/api/tl/reports", tlAuth, async (req, res) => {
+  const teamLeaderId = req.tl.teamLeaderId;
+  try {
+    const released = await loadReleasedCycles(teamLeaderId);
+    const averages = await loadLeaderAverages(teamLeaderId);
+    const cycles = released.map(c => {
+      const a = averages.find(x => x.campaignId === c.id);
+      return {
+        cycleId: c.id,
+        label: c.label,
+        startedAt: c.started_at,
+        releasedAt: c.released_at,
+        avgOverall: a?.avgOverall ?? null,
+        categoryAverages: a?.categoryAverages ?? {}
+      };
+    });
+    res.json({ teamLeaderId, cycles });
+  } catch (e) {
+    console.error("Error in /api/tl/reports:", e);
+    res.status(500).json({ error: "Server error loading your reports." });
+  }
+});
+
+app.get("/api/tl/report", tlAuth, async (req, res) => {
+  const teamLeaderId = req.tl.teamLeaderId;
+  const campaignId = safeText(req.query?.campaignId);
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+
+  try {
+    const cycle = (await loadReleasedCycles(teamLeaderId)).find(c => c.id === campaignId);
+    if (!cycle) return res.status(404).json({ error: "This report has not been released to you." });
+
+    const report = await loadTlReport(campaignId, teamLeaderId);
+    // As on the admin detail view: this cycle's plans and earlier ones it follows up, released cycles only
+    const released = (await loadReleasedCycles(teamLeaderId)).map(c => c.id);
+    const actionPlans = (await loadActionPlans(teamLeaderId, null, released)).filter(
+      p => p.campaignId === campaignId || p.followUp.cycleId === campaignId
+    );
+    await audit(req, "tl.report-view", { campaignId, teamLeaderId });
+    res.json({
+      teamLeaderId,
+      cycle: { id: cycle.id, label: cycle.label, releasedAt: cycle.released_at },
+      ...report,
+      actionPlans,
+      planStatuses: ACTION_PLAN_STATUSES
+    });
+  } catch (e) {
+    console.error("Error in /api/tl/report:", e);
+    res.status(500).json({ error: "Server error loading your report." });
+  }
+});
+
+// The TL's own plan, if it belongs to a cycle released to them
+async function loadTlActionPlan(teamLeaderId, planId) {
+  const r = await pool.query(
+    `
+    SELECT p.id, p.campaign_id, p.status
+    FROM action_plans p
+    JOIN report_releases rr ON rr.campaign_id = p.campaign_id AND rr.team_leader_id = p.team_leader_id
+    JOIN campaigns c ON c.id = p.campaign_id AND c.deleted_at IS NULL
+    WHERE p.id = $1 AND p.team_leader_id = $2
+    `,
+    [planId, teamLeaderId]
+  );
+  return r.rows[0] || null;
+}
+
+// TLs record their own goals against a released cycle, or update one (id); the owner defaults to them
+app.post("/api/tl/action-plans", tlAuth, async (req, res) => {
+  const teamLeaderId = req.tl.teamLeaderId;
+  const id = req.body?.id != null ? Number(req.body.id) : null;
+  const input = parseActionPlanInput(req.body);
+  if (id != null && !Number.isInteger(id)) return res.status(400).json({ error: "id must be an integer" });
+  if (input.error) return res.status(400).json({ error: input.error });
+
+  try {
+    let campaignId = safeText(req.body?.campaignId);
+    let before = null;
+    if (id != null) {
+      before = await loadTlActionPlan(teamLeaderId, id);
+      if (!before) return res.status(404).json({ error: "Action plan not found." });
+      campaignId = before.campaign_id;
+    } else {
+      if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+      const released = await loadReleasedCycles(teamLeaderId);
+      if (!released.some(c => c.id === campaignId)) {
+        return res.status(404).json({ error: "This report has not been released to you." });
+      }
+    }
+
+    const categoryError = await actionPlanCategoryError(campaignId, input.category);
+    if (categoryError) return res.status(400).json({ error: categoryError });
+
+    const tl = await pool.query(`SELECT display_name FROM team_leaders WHERE id = $1`, [teamLeaderId]);
+    const planId = await writeActionPlan({
+      id,
+      campaignId,
+      teamLeaderId,
+      input: { ...input, owner: input.owner || tl.rows[0].display_name },
+      username: req.admin.username
+    });
+    await audit(req, "action-plan.save", {
+      campaignId,
+      teamLeaderId,
+      affected: 1,
+      details: {
+        planId,
+        created: id == null,
+        category: input.category,
+        status: input.status,
+        ...(before && before.status !== input.status && { statusBefore: before.status })
+      }
+    });
+    res.json({ ok: true, id: planId });
+  } catch (e) {
+    console.error("Error in /api/tl/action-plans:", e);
+    res.status(500).json({ error: "Server error saving your action plan." });
+  }
+});
+
+app.post("/api/tl/action-plans/checkin", tlAuth, async (req, res) => {
+  const teamLeaderId = req.tl.teamLeaderId;
+  const input = parseCheckinInput(req.body);
+  if (input.error) return res.status(400).json({ error: input.error });
+  const { planId, status } = input;
+
+  try {
+    const plan = await loadTlActionPlan(teamLeaderId, planId);
+    if (!plan) return res.status(404).json({ error: "Action plan not found." });
+
+    const checkinId = await addActionPlanCheckin({ ...input, username: req.admin.username });
+    await audit(req, "action-plan.checkin", {
+      campaignId: plan.campaign_id,
+      teamLeaderId,
+      affected: 1,
+      details: { planId, checkinId, ...(status && { status, statusBefore: plan.status }) }
+    });
+    res.json({ ok: true, id: checkinId });
+  } catch (e) {
+    console.error("Error in /api/tl/action-plans/checkin:", e);
+    res.status(500).json({ error: "Server error saving your check-in." });
+  }
+});
+
+// -----------------------------
+// ADMIN API
+// -----------------------------
+
+app.post("/api/admin/login", async (req, res) => {
+  const username = safeText(req.body?.username);
+  const password = typeof req.body?.password === "string" ? req.body.password : "";
+  if (!username || !password) return res.status(400).json({ error: "username and password required" });
+
+  try {
+    const lock = await checkAuthThrottle("admin", req.ip, username.toLowerCase());
+    if (lock) return sendThrottled(res, lock);
+
+    const r = await pool.query(
+      `SELECT id, username, role, password_hash FROM admin_users WHERE username = $1 AND active = true`,
+      [username]
+    );
+    const user = r.rows[0];
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      await recordAuthFailure("admin", req, username.toLowerCase());
+      return res.status(401).json({ error: "Incorrect username or password." });
+    }
+
+    await pool.query(`UPDATE admin_users SET last_login_at = now() WHERE id = $1`, [user.id]);
+    await audit({ admin: user }, "admin.login");
+    res.json({
+      ok: true,
+      token: signAdminToken(user),
+      expiresIn: ADMIN_TOKEN_TTL,
+      user: { id: user.id, username: user.username, role: user.role }
+    });
+  } catch (e) {
+    console.error("Error in /api/admin/login:", e);
+    res.status(500).json({ error: "Server error logging in." });
+  }
+});
+
+app.get("/api/admin/me", adminAuth, (req, res) => {
+  res.json({ user: req.admin });
+});
+
+// Admin users (super-admin only)
+app.get("/api/admin/users", adminAuth, requireRole("super-admin"), async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT u.id, u.username, u.role, u.active, u.created_at, u.last_login_at,
+             COALESCE(array_agg(s.team_leader_id ORDER BY s.team_leader_id)
+                      FILTER (WHERE s.team_leader_id IS NOT NULL), '{}') AS "teamLeaderIds"
+      FROM admin_users u
+      LEFT JOIN admin_user_team_leaders s ON s.admin_user_id = u.id
+      GROUP BY u.id
+      ORDER BY u.username ASC
+    `);
+    res.json({ users: r.rows });
+  } catch (e) {
+    console.error("Error listing admin users:", e);
+    res.status(500).json({ error: "DB error loading users." });
+  }
+});
+
+// Create or update a user. Password is required on create, optional on update.
+app.post("/api/admin/users", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const username = safeText(req.body?.username);
+  const password = typeof req.body?.password === "string" ? req.body.password : "";
+  const role = safeText(req.body?.role);
+  const active = req.body?.active === undefined ? true : !!req.body.active;
+  const teamLeaderIds = Array.isArray(req.body?.teamLeaderIds)
+    ? [...new Set(req.body.teamLeaderIds.map(safeText).filter(Boolean))]
+    : [];
+
+  if (!username || !ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: `username and role (${ADMIN_ROLES.join(", ")}) required` });
+  }
+  if (password && password.length < 10) return res.status(400).json({ error: "Password must be at least 10 characters." });
+  if (username === req.admin.username && (role !== "super-admin" || !active)) {
+    return res.status(400).json({ error: "You cannot demote or deactivate your own account." });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const existing = await client.query(`SELECT id FROM admin_users WHERE username = $1 FOR UPDATE`, [username]);
+    let userId;
+    if (existing.rowCount) {
+      userId = existing.rows[0].id;
+      await client.query(
+        `UPDATE admin_users SET role = $2, active = $3, password_hash = COALESCE($4, password_hash) WHERE id = $1`,
+        [userId, role, active, password ? await hashPassword(password) : null]
+      );
+    } else {
+      if (!password) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "password required for a new user" });
+      }
+      const ins = await client.query(
+        `INSERT INTO admin_users (username, password_hash, role, active) VALUES ($1, $2, $3, $4) RETURNING id`,
+        [username, await hashPassword(password), role, active]
+      );
+      userId = ins.rows[0].id;
+    }
+
+    await client.query(`DELETE FROM admin_user_team_leaders WHERE admin_user_id = $1`, [userId]);
+    if (role === "line-manager" && teamLeaderIds.length) {
+      await client.query(
+        `
+        INSERT INTO admin_user_team_leaders (admin_user_id, team_leader_id)
+        SELECT $1, tl.id FROM team_leaders tl WHERE tl.id = ANY($2)
+        `,
+        [userId, teamLeaderIds]
+      );
+    }
+
+    await client.query("COMMIT");
+    await audit(req, existing.rowCount ? "user.update" : "user.create", {
+      details: { username, role, active, teamLeaderIds: role === "line-manager" ? teamLeaderIds : [], passwordChanged: !!password }
+    });
+    res.json({ ok: true, userId });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    console.error("Error saving admin user:", e);
+    res.status(500).json({ error: "DB error saving user." });
+  } finally {
+    client.release();
+  }
+});
+
+// TL portal accounts (super-admin only); every live TL is listed, with or without an account
+app.get("/api/admin/tl-accounts", adminAuth, requireRole("super-admin"), async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT tl.id AS "teamLeaderId", tl.display_name AS name, (a.team_leader_id IS NOT NULL) AS "hasAccount", a.active,
+             a.password_set_by AS "passwordSetBy", a.password_set_at AS "passwordSetAt", a.last_login_at AS "lastLoginAt",
+             (SELECT COUNT(*) FROM report_releases rr WHERE rr.team_leader_id = tl.id)::int AS "releasedCount"
+      FROM team_leaders tl
+      LEFT JOIN team_leader_accounts a ON a.team_leader_id = tl.id
+      WHERE tl.deleted_at IS NULL
+      ORDER BY lower(tl.display_name) ASC, tl.id ASC
+    `);
+    res.json({ accounts: r.rows });
+  } catch (e) {
+    console.error("Error listing TL accounts:", e);
+    res.status(500).json({ error: "DB error loading TL accounts." });
+  }
+});
+
+// Create or update a TL's portal login. Password is required on create, optional on update.
+app.post("/api/admin/tl-accounts", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const teamLeaderId = safeText(req.body?.teamLeaderId);
+  const password = typeof req.body?.password === "string" ? req.body.password : "";
+  const active = req.body?.active === undefined ? true : !!req.body.active;
+  if (!teamLeaderId) return res.status(400).json({ error: "teamLeaderId required" });
+  if (password && password.length < 10) return res.status(400).json({ error: "Password must be at least 10 characters." });
+
+  try {
+    const tl = await pool.query(`SELECT 1 FROM team_leaders WHERE id = $1 AND deleted_at IS NULL`, [teamLeaderId]);
+    if (!tl.rowCount) return res.status(404).json({ error: `Team leader not found: ${teamLeaderId}` });
+
+    const existing = await pool.query(`SELECT 1 FROM team_leader_accounts WHERE team_leader_id = $1`, [teamLeaderId]);
+    if (existing.rowCount) {
+      await pool.query(
+        `
+        UPDATE team_leader_accounts
+        SET active = $2,
+            password_hash = COALESCE($3, password_hash),
+            password_set_by = CASE WHEN $3::text IS NULL THEN password_set_by ELSE $4 END,
+            password_set_at = CASE WHEN $3::text IS NULL THEN password_set_at ELSE now() END,
+            session_version = session_version + CASE WHEN $3::text IS NULL THEN 0 ELSE 1 END
+        WHERE team_leader_id = $1
+        `,
+        [teamLeaderId, active, password ? await hashPassword(password) : null, req.admin.username]
+      );
+    } else {
+      if (!password) return res.status(400).json({ error: "password required for a new account" });
+      await pool.query(
+        `INSERT INTO team_leader_accounts (team_leader_id, password_hash, active, password_set_by) VALUES ($1, $2, $3, $4)`,
+        [teamLeaderId, await hashPassword(password), active, req.admin.username]
+      );
+    }
+
+    await audit(req, existing.rowCount ? "tl-account.update" : "tl-account.create", {
+      teamLeaderId,
+      details: { active, passwordChanged: !!password }
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("Error saving TL account:", e);
+    res.status(500).json({ error: "DB error saving TL account." });
+  }
+});
+
+// Releases a TL's report for a cycle to the TL portal, or withdraws it (released: false)
+app.post("/api/admin/report-release", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const teamLeaderId = safeText(req.body?.teamLeaderId);
+  const released = req.body?.released !== false;
+  if (!campaignId || !teamLeaderId) return res.status(400).json({ error: "campaignId and teamLeaderId required" });
+  if (!ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
+
+  try {
+    const cam = await pool.query(`SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
+    if (!cam.rowCount) return res.status(404).json({ error: "Cycle not found." });
+    const tl = await pool.query(`SELECT 1 FROM team_leaders WHERE id = $1 AND deleted_at IS NULL`, [teamLeaderId]);
+    if (!tl.rowCount) return res.status(404).json({ error: `Team leader not found: ${teamLeaderId}` });
+
+    const r = released
+      ? await pool.query(
+        `
+        INSERT INTO report_releases (campaign_id, team_leader_id, released_by) VALUES ($1, $2, $3)
+        ON CONFLICT (campaign_id, team_leader_id) DO NOTHING
+        `,
+        [campaignId, teamLeaderId, req.admin.username]
+      )
+      : await pool.query(
+        `DELETE FROM report_releases WHERE campaign_id = $1 AND team_leader_id = $2`,
+        [campaignId, teamLeaderId]
+      );
+
+    if (r.rowCount) {
+      await audit(req, released ? "report.release" : "report.withdraw", { campaignId, teamLeaderId, affected: r.rowCount });
+    }
+    res.json({ ok: true, released, changed: r.rowCount > 0 });
+  } catch (e) {
+    console.error("Error in /api/admin/report-release:", e);
+    res.status(500).json({ error: "DB error updating report release." });
+  }
+});
+
+app.get("/api/admin/campaigns", adminAuth, async (req, res) => {
+  const r = await pool.query(`
+    SELECT c.id, c.label, c.created_at, c.status, c.opens_at, c.closes_at, c.session_ttl_minutes, c.template_id,
+           t.template_key, t.version AS template_version, t.name AS template_name
+    FROM campaigns c
+    LEFT JOIN questionnaire_templates t ON t.id = c.template_id
+    WHERE c.deleted_at IS NULL
+    ORDER BY c.created_at DESC;
+  `);
+  res.json({ campaigns: r.rows });
+});
+
+app.post("/api/admin/campaigns", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const id = safeText(req.body?.campaignId);
+  const label = safeText(req.body?.label);
+  const templateId = req.body?.templateId == null || req.body.templateId === "" ? null : Number(req.body.templateId);
+  if (!id || !label) return res.status(400).json({ error: "campaignId and label required" });
+  if (templateId !== null && !Number.isInteger(templateId)) return res.status(400).json({ error: "templateId must be an integer" });
+  const status = safeText(req.body?.status) || "draft";
+  if (!CAMPAIGN_STATUSES.includes(status)) return res.status(400).json({ error: "invalid status" });
+
+  try {
+    const t = templateId !== null
+      ? await pool.query(`SELECT id FROM questionnaire_templates WHERE id = $1`, [templateId])
+      : await pool.query(
+        `SELECT id FROM questionnaire_templates WHERE template_key = $1 ORDER BY version DESC LIMIT 1`,
+        [DEFAULT_TEMPLATE_KEY]
+      );
+    if (!t.rowCount) return res.status(400).json({ error: "Template not found" });
+
+    const trashed = await pool.query(`SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NOT NULL`, [id]);
+    if (trashed.rowCount) {
+      return res.status(409).json({ error: "A cycle with this ID is in the Trash. Restore or purge it first." });
+    }
+
+    // Template and status are only set on create; later changes go through their own endpoints
+    await pool.query(
+      `INSERT INTO campaigns (id, label, template_id, status) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (id) DO UPDATE SET label = EXCLUDED.label`,
+      [id, label, t.rows[0].id, status]
+    );
+    await audit(req, "campaign.save", { campaignId: id, details: { label, templateId: t.rows[0].id, status } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("Error creating campaign:", e);
+    res.status(500).json({ error: "DB error creating cycle." });
+  }
+});
+
+// Open / close / reopen / archive a cycle
+app.post("/api/admin/campaigns/status", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const status = safeText(req.body?.status);
+  if (!campaignId || !CAMPAIGN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `campaignId and status (${CAMPAIGN_STATUSES.join(", ")}) required` });
+  }
+
+  try {
+    // Reopening after the close date has passed drops that close date, otherwise the cycle stays shut
+    const r = await pool.query(
+      `
+      UPDATE campaigns
+      SET status = $2,
+          closes_at = CASE WHEN $2 = 'open' AND closes_at <= now() THEN NULL ELSE closes_at END
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id, status, opens_at, closes_at
+      `,
+      [campaignId, status]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "Cycle not found." });
+    await audit(req, "campaign.status", { campaignId, affected: r.rowCount, details: { status } });
+    res.json({ ok: true, campaign: r.rows[0] });
+  } catch (e) {
+    console.error("Error updating campaign status:", e);
+    res.status(500).json({ error: "DB error updating cycle." });
+  }
+});
+
+// Optional opens_at / closes_at window (null clears either side)
+app.post("/api/admin/campaigns/window", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const opensAt = parseOptionalDate(req.body?.opensAt);
+  const closesAt = parseOptionalDate(req.body?.closesAt);
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+  if (opensAt.error || closesAt.error) return res.status(400).json({ error: "opensAt / closesAt must be valid dates" });
+  if (opensAt.value && closesAt.value && opensAt.value >= closesAt.value) {
+    return res.status(400).json({ error: "closesAt must be after opensAt" });
+  }
+
+  try {
+    const r = await pool.query(
+      `UPDATE campaigns SET opens_at = $2, closes_at = $3 WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id, status, opens_at, closes_at`,
+      [campaignId, opensAt.value, closesAt.value]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "Cycle not found." });
+    await audit(req, "campaign.window", {
+      campaignId,
+      affected: r.rowCount,
+      details: { opensAt: opensAt.value, closesAt: closesAt.value }
+    });
+    res.json({ ok: true, campaign: r.rows[0] });
+  } catch (e) {
+    console.error("Error updating campaign window:", e);
+    res.status(500).json({ error: "DB error updating cycle." });
+  }
+});
+
+// Respondent session lifetime for a cycle (null = DEFAULT_SESSION_TTL_MINUTES)
+app.post("/api/admin/campaigns/session-ttl", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const raw = req.body?.sessionTtlMinutes;
+  const ttl = raw == null || raw === "" ? null : Number(raw);
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+  if (ttl !== null && (!Number.isInteger(ttl) || ttl < MIN_SESSION_TTL_MINUTES || ttl > MAX_SESSION_TTL_MINUTES)) {
+    return res.status(400).json({
+      error: `sessionTtlMinutes must be a whole number from ${MIN_SESSION_TTL_MINUTES} to ${MAX_SESSION_TTL_MINUTES}`
+    });
+  }
+
+  try {
+    const r = await pool.query(
+      `UPDATE campaigns SET session_ttl_minutes = $2 WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id, session_ttl_minutes`,
+      [campaignId, ttl]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "Cycle not found." });
+    await audit(req, "campaign.session-ttl", { campaignId, affected: r.rowCount, details: { sessionTtlMinutes: ttl } });
+    res.json({ ok: true, campaign: r.rows[0] });
+  } catch (e) {
+    console.error("Error updating session lifetime:", e);
+    res.status(500).json({ error: "DB error updating cycle." });
+  }
+});
+
+// Re-pin a cycle to another template (only before any feedback or self-assessment exists)
+app.post("/api/admin/campaigns/template", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const templateId = Number(req.body?.templateId);
+  if (!campaignId || !Number.isInteger(templateId)) {
+    return res.status(400).json({ error: "campaignId and templateId required" });
+  }
+
+  try {
+    const t = await pool.query(`SELECT 1 FROM questionnaire_templates WHERE id = $1`, [templateId]);
+    if (!t.rowCount) return res.status(400).json({ error: "Template not found" });
+
+    // Both are scored against the current template's question ids
+    const f = await pool.query(
+      `SELECT EXISTS (SELECT 1 FROM feedback WHERE campaign_id = $1)
+           OR EXISTS (SELECT 1 FROM self_assessments WHERE campaign_id = $1) AS answered`,
+      [campaignId]
+    );
+    if (f.rows[0].answered) {
+      return res.status(409).json({ error: "This cycle already has feedback or self-assessments; its questionnaire can no longer change." });
+    }
+
+    const r = await pool.query(
+      `UPDATE campaigns SET template_id = $2 WHERE id = $1 AND deleted_at IS NULL`,
+      [campaignId, templateId]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "Cycle not found." });
+    await audit(req, "campaign.template", { campaignId, affected: r.rowCount, details: { templateId } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("Error setting campaign template:", e);
+    res.status(500).json({ error: "DB error updating cycle." });
+  }
+});
+
+// Questionnaire templates (versioned; rows are never edited in place)
+app.get("/api/admin/templates", adminAuth, requireRole("super-admin", "hr-viewer"), async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT t.id, t.template_key, t.version, t.name, t.created_at,
+             COUNT(c.id)::int AS "campaignCount"
+      FROM questionnaire_templates t
+      LEFT JOIN campaigns c ON c.template_id = t.id
+      GROUP BY t.id
+      ORDER BY t.template_key ASC, t.version DESC
+    `);
+    res.json({ templates: r.rows });
+  } catch (e) {
+    console.error("Error listing templates:", e);
+    res.status(500).json({ error: "DB error loading templates." });
+  }
+});
+
+app.get("/api/admin/templates/:id", adminAuth, requireRole("super-admin", "hr-viewer"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "invalid template id" });
+
+  try {
+    const r = await pool.query(
+      `SELECT id, template_key, version, name, definition_json FROM questionnaire_templates WHERE id = $1`,
+      [id]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "Template not found." });
+    res.json({ template: templateFromRow(r.rows[0]) });
+  } catch (e) {
+    console.error("Error loading template:", e);
+    res.status(500).json({ error: "DB error loading template." });
+  }
+});
+
+// Creates version 1 of a new key, or the next version of an existing key
+app.post("/api/admin/templates", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const templateKey = safeText(req.body?.templateKey);
+  const name = safeText(req.body?.name);
+  const definition = req.body?.definition;
+  if (!templateKey || !name) return res.status(400).json({ error: "templateKey and name required" });
+
+  const invalid = validateTemplateDefinition(definition);
+  if (invalid) return res.status(400).json({ error: `Invalid template: ${invalid}` });
+
+  try {
+    const r = await pool.query(
+      `
+      INSERT INTO questionnaire_templates (template_key, version, name, definition_json)
+      SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3
+      FROM questionnaire_templates
+      WHERE template_key = $1
+      RETURNING id, version
+      `,
+      [templateKey, name, JSON.stringify(definition)]
+    );
+    await audit(req, "template.create", {
+      details: { templateId: r.rows[0].id, templateKey, version: r.rows[0].version, name }
+    });
+    res.json({ ok: true, templateId: r.rows[0].id, version: r.rows[0].version });
+  } catch (e) {
+    if (e.code === "23505") return res.status(409).json({ error: "Template version conflict, please retry." });
+    console.error("Error creating template:", e);
+    res.status(500).json({ error: "DB error saving template." });
+  }
+});
+
+app.post("/api/admin/delete-cycle", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+
+  try {
+    // Moves the cycle to the Trash; its codes and feedback become unreachable until restored
+    const counts = await pool.query(
+      `SELECT (SELECT COUNT(*)::int FROM codes WHERE campaign_id = $1) AS codes,
+              (SELECT COUNT(*)::int FROM feedback WHERE campaign_id = $1 AND deleted_at IS NULL) AS feedback`,
+      [campaignId]
+    );
+    const r = await pool.query(
+      `UPDATE campaigns SET deleted_at = now(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL`,
+      [campaignId, req.admin.username]
+    );
+    await audit(req, "campaign.delete", { campaignId, affected: r.rowCount, details: { ...counts.rows[0], trashed: true } });
+    res.json({ ok: true, deleted: r.rowCount, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (e) {
+    console.error("Error deleting cycle:", e);
+    res.status(500).json({ error: "DB error deleting cycle." });
+  }
+});
+
+// Team Leaders
+app.get("/api/admin/team-leaders", adminAuth, async (req, res) => {
+  const scope = req.admin.teamLeaderIds;
+  const r = await pool.query(
+    `SELECT tl.id, tl.display_name AS name, tl.email, tl.active,
+            tl.department_id AS "departmentId", d.name AS department,
+            tl.site_id AS "siteId", s.name AS site,
+            tl.reports_to AS "reportsTo", m.display_name AS "reportsToName"
+     FROM team_leaders tl
+     LEFT JOIN departments d ON d.id = tl.department_id
+     LEFT JOIN sites s ON s.id = tl.site_id
+     LEFT JOIN team_leaders m ON m.id = tl.reports_to AND m.deleted_at IS NULL
+     WHERE tl.deleted_at IS NULL AND ($1::text[] IS NULL OR tl.id = ANY($1))
+     ORDER BY lower(tl.display_name) ASC, tl.id ASC;`,
+    [scope]
+  );
+  res.json({ teamLeaders: r.rows });
+});
+
+/**
+ * Creates or updates a TL's people record. With an id the record is updated (a rename only
+ * changes display_name); without one an existing TL of the same name is reactivated, else a
+ * new TL is created with a generated id. email, departmentId, siteId and reportsTo are only
+ * changed when sent; send null to clear them.
+ */
+app.post("/api/admin/team-leaders", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const body = req.body || {};
+  const name = safeText(body.name);
+  const has = key => Object.prototype.hasOwnProperty.call(body, key);
+  if (!name) return res.status(400).json({ error: "name required" });
+
+  const email = has("email") ? safeText(body.email) || null : undefined;
+  if (email && !isEmail(email)) {
+    return res.status(400).json({ error: "email must be a valid address" });
+  }
+  const orgIds = {};
+  for (const key of ["departmentId", "siteId"]) {
+    if (!has(key)) continue;
+    const v = body[key] == null || body[key] === "" ? null : Number(body[key]);
+    if (v !== null && (!Number.isInteger(v) || v < 1)) return res.status(400).json({ error: `${key} must be an id` });
+    orgIds[key] = v;
+  }
+  const reportsTo = has("reportsTo") ? safeText(body.reportsTo) || null : undefined;
+
+  try {
+    let id = safeText(body.id);
+    if (id) {
+      const existing = await pool.query(`SELECT deleted_at FROM team_leaders WHERE id = $1`, [id]);
+      if (!existing.rowCount) return res.status(404).json({ error: "Team leader not found." });
+      if (existing.rows[0].deleted_at) {
+        return res.status(409).json({ error: "This team leader is in the Trash. Restore or purge them first." });
+      }
+    } else {
+      const byName = await pool.query(
+        `SELECT id, deleted_at FROM team_leaders WHERE lower(display_name) = lower($1) ORDER BY deleted_at NULLS FIRST`,
+        [name]
+      );
+      const live = byName.rows.filter(r => !r.deleted_at);
+      if (live.length > 1) {
+        return res.status(409).json({ error: "More than one team leader has this name. Edit them by id." });
+      }
+      if (!live.length && byName.rowCount) {
+        return res.status(409).json({ error: "This team leader is in the Trash. Restore or purge them first." });
+      }
+      id = live[0]?.id || null;
+    }
+
+    if (orgIds.departmentId) {
+      const d = await pool.query(`SELECT 1 FROM departments WHERE id = $1`, [orgIds.departmentId]);
+      if (!d.rowCount) return res.status(400).json({ error: "Department not found" });
+    }
+    if (orgIds.siteId) {
+      const st = await pool.query(`SELECT 1 FROM sites WHERE id = $1`, [orgIds.siteId]);
+      if (!st.rowCount) return res.status(400).json({ error: "Site not found" });
+    }
+    if (reportsTo) {
+      if (reportsTo === id) return res.status(400).json({ error: "A team leader cannot report to themselves" });
+      // Walk up from the new manager; meeting this TL on the way would make a loop
+      const chain = await pool.query(
+        `
+        WITH RECURSIVE up AS (
+          SELECT id, reports_to FROM team_leaders WHERE id = $1 AND deleted_at IS NULL
+          UNION
+          SELECT t.id, t.reports_to FROM team_leaders t JOIN up ON t.id = up.reports_to
+        )
+        SELECT id FROM up
+        `,
+        [reportsTo]
+      );
+      if (!chain.rowCount) return res.status(400).json({ error: "reportsTo: team leader not found" });
+      if (id && chain.rows.some(r => r.id === id)) {
+        return res.status(400).json({ error: "reportsTo would create a reporting loop" });
+      }
+    }
+
+    const created = !id;
+    if (created) id = newTeamLeaderId();
+    await pool.query(
+      `
+      INSERT INTO team_leaders (id, display_name, email, department_id, site_id, reports_to, active)
+      VALUES ($1, $2, $3, $4, $5, $6, true)
+      ON CONFLICT (id) DO UPDATE SET
+        display_name = EXCLUDED.display_name,
+        email = CASE WHEN $7 THEN EXCLUDED.email ELSE team_leaders.email END,
+        department_id = CASE WHEN $8 THEN EXCLUDED.department_id ELSE team_leaders.department_id END,
+        site_id = CASE WHEN $9 THEN EXCLUDED.site_id ELSE team_leaders.site_id END,
+        reports_to = CASE WHEN $10 THEN EXCLUDED.reports_to ELSE team_leaders.reports_to END,
+        active = true
+      `,
+      [
+        id, name, email ?? null, orgIds.departmentId ?? null, orgIds.siteId ?? null, reportsTo ?? null,
+        email !== undefined, has("departmentId"), has("siteId"), reportsTo !== undefined
+      ]
+    );
+    await audit(req, "team-leader.save", {
+      teamLeaderId: id,
+      details: { name, created, ...(email !== undefined && { email }), ...orgIds, ...(reportsTo !== undefined && { reportsTo }) }
+    });
+    queueRedactionRescan();
+    res.json({ ok: true, id, created });
+  } catch (e) {
+    if (e.code === "23505") return res.status(409).json({ error: "Another team leader already uses this email." });
+    console.error("Error upserting TL:", e);
+    res.status(500).json({ error: "DB error saving TL." });
+  }
+});
+
+app.post("/api/admin/team-leaders/deactivate", adminAuth, requireRole("super-admin"), async (req, res) => {
+  // id; older clients send the id as name
+  const name = safeText(req.body?.id || req.body?.name);
+  if (!name) return res.status(400).json({ error: "id required" });
+
+  try {
+    const r = await pool.query(`UPDATE team_leaders SET active = false WHERE id = $1 AND deleted_at IS NULL`, [name]);
+    await audit(req, "team-leader.deactivate", { teamLeaderId: name, affected: r.rowCount });
+    res.json({ ok: true, affected: r.rowCount });
+  } catch (e) {
+    console.error("Error deactivating TL:", e);
+    res.status(500).json({ error: "DB error updating TL." });
+  }
+});
+
+app.post("/api/admin/team-leaders/delete", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const name = safeText(req.body?.id || req.body?.name);
+  if (!name) return res.status(400).json({ error: "id required" });
+
+  try {
+    const counts = await pool.query(
+      `SELECT (SELECT COUNT(*)::int FROM codes WHERE team_leader_id = $1) AS codes,
+              (SELECT COUNT(*)::int FROM feedback WHERE team_leader_id = $1 AND deleted_at IS NULL) AS feedback`,
+      [name]
+    );
+    const r = await pool.query(
+      `UPDATE team_leaders SET deleted_at = now(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL`,
+      [name, req.admin.username]
+    );
+    await audit(req, "team-leader.delete", { teamLeaderId: name, affected: r.rowCount, details: { ...counts.rows[0], trashed: true } });
+    res.json({ ok: true, deleted: r.rowCount, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (e) {
+    console.error("Error deleting TL:", e);
+    res.status(500).json({ error: "DB error deleting TL." });
+  }
+});
+
+// Departments and sites
+const ORG_UNIT_TABLES = { department: "departments", site: "sites" };
+
+app.get("/api/admin/org-units", adminAuth, async (req, res) => {
+  try {
+    const list = async (table, column) => (await pool.query(
+      `SELECT u.id, u.name,
+              (SELECT COUNT(*) FROM team_leaders tl WHERE tl.${column} = u.id AND tl.deleted_at IS NULL)::int AS "teamLeaderCount"
+       FROM ${table} u ORDER BY lower(u.name) ASC`
+    )).rows;
+    res.json({ departments: await list("departments", "department_id"), sites: await list("sites", "site_id") });
+  } catch (e) {
+    console.error("Error in /api/admin/org-units:", e);
+    res.status(500).json({ error: "DB error loading departments and sites." });
+  }
+});
+
+// { type: "department" | "site", name, id? } creates one, or renames it when id is sent
+app.post("/api/admin/org-units", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const type = safeText(req.body?.type);
+  const name = safeText(req.body?.name);
+  const id = req.body?.id == null || req.body.id === "" ? null : Number(req.body.id);
+  const table = ORG_UNIT_TABLES[type];
+  if (!table) return res.status(400).json({ error: "type must be department or site" });
+  if (!name) return res.status(400).json({ error: "name required" });
+  if (id !== null && !Number.isInteger(id)) return res.status(400).json({ error: "id must be an integer" });
+
+  try {
+    const r = id === null
+      ? await pool.query(`INSERT INTO ${table} (name) VALUES ($1) RETURNING id`, [name])
+      : await pool.query(`UPDATE ${table} SET name = $2 WHERE id = $1 RETURNING id`, [id, name]);
+    if (!r.rowCount) return res.status(404).json({ error: `No such ${type}.` });
+    await audit(req, "org-unit.save", { details: { type, id: r.rows[0].id, name, created: id === null } });
+    res.json({ ok: true, id: r.rows[0].id });
+  } catch (e) {
+    if (e.code === "23505") return res.status(409).json({ error: `A ${type} with this name already exists.` });
+    console.error("Error saving org unit:", e);
+    res.status(500).json({ error: `DB error saving ${type}.` });
+  }
+});
+
+// Team leaders in it are kept and simply lose their department / site
+app.post("/api/admin/org-units/delete", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const type = safeText(req.body?.type);
+  const id = Number(req.body?.id);
+  const table = ORG_UNIT_TABLES[type];
+  if (!table) return res.status(400).json({ error: "type must be department or site" });
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "id required" });
+
+  try {
+    const r = await pool.query(`DELETE FROM ${table} WHERE id = $1 RETURNING name`, [id]);
+    await audit(req, "org-unit.delete", { affected: r.rowCount, details: { type, id, name: r.rows[0]?.name } });
+    res.json({ ok: true, deleted: r.rowCount });
+  } catch (e) {
+    console.error("Error deleting org unit:", e);
+    res.status(500).json({ error: `DB error deleting ${type}.` });
+  }
+});
+
+// -----------------------------
+// Roster import (CSV, one row per team member)
+// -----------------------------
+const ROSTER_MAX_ROWS = 5000;
+// Accepted header names per column (compared lower-case, with _ and - read as spaces)
+const ROSTER_COLUMNS = {
+  teamLeader: ["team leader", "tl", "leader", "team leader name"],
+  teamLeaderEmail: ["team leader email", "tl email", "leader email"],
+  member: ["team member", "member", "participant", "respondent", "name"],
+  memberEmail: ["team member email", "member email", "participant email", "email"],
+  department: ["department", "dept"],
+  site: ["site", "location"]
+};
+
+// RFC 4180: quoted fields, doubled quotes, CRLF or LF. Returns [{ line, cells }] without blank lines.
+function parseCsv(text) {
+  const s = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let cells = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    cells.push(field);
+    if (cells.some(v => v.trim())) rows.push({ line: rowLine, cells });
+    cells = [];
+    field = "";
+  };
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === "\n") line++;
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(field);
+      field = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && s[i + 1] === "\n") { i++; line++; }
+      else if (ch === "\r") line++;
+      endRow();
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+// { entries: [{ line, teamLeader, teamLeaderEmail, member, memberEmail, department, site }], columns } or { error }
+function readRoster(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { error: "The file is empty." };
+  if (rows.length - 1 > ROSTER_MAX_ROWS) return { error: `At most ${ROSTER_MAX_ROWS} rows per import.` };
+
+  const header = rows[0].cells.map(h => h.trim().toLowerCase().replace(/[_-]+/g, " ").replace(/\s+/g, " "));
+  const col = {};
+  for (const [key, names] of Object.entries(ROSTER_COLUMNS)) {
+    const i = header.findIndex(h => names.includes(h));
+    if (i >= 0) col[key] = i;
+  }
+  if (col.teamLeader == null) {
+    return { error: `No team leader column. Name one of: ${ROSTER_COLUMNS.teamLeader.join(", ")}.` };
+  }
+
+  const cell = (r, key) => (col[key] == null ? "" : (r.cells[col[key]] || "").trim());
+  return {
+    columns: Object.keys(col),
+    entries: rows.slice(1).map(r => ({
+      line: r.line,
+      ...Object.fromEntries(Object.keys(ROSTER_COLUMNS).map(key => [key, cell(r, key)]))
+    }))
+  };
+}
+
+/**
+ * Works out what importing a roster would change, without changing anything. TLs are matched by
+ * email when the file has one, else by id or display name; a blank department / site cell leaves
+ * the TL's current one. When the file has member columns it replaces each listed TL's team.
+ * deactivateMissing also deactivates active TLs the file does not list.
+ */
+async function planRosterImport({ entries, columns }, { deactivateMissing = false } = {}) {
+  const tls = (await pool.query(
+    `SELECT t.id, t.display_name, t.email, t.active, t.deleted_at, d.name AS department, s.name AS site
+     FROM team_leaders t
+     LEFT JOIN departments d ON d.id = t.department_id
+     LEFT JOIN sites s ON s.id = t.site_id`
+  )).rows;
+  const departments = (await pool.query(`SELECT name FROM departments`)).rows.map(r => r.name);
+  const sites = (await pool.query(`SELECT name FROM sites`)).rows.map(r => r.name);
+  const memberRows = (await pool.query(`SELECT team_leader_id, member_key, name FROM roster_members`)).rows;
+
+  const errors = [];
+  const warnings = [];
+  const lower = v => (v || "").toLowerCase();
+
+  // Group the rows into one entry per TL
+  const listed = new Map();
+  for (const e of entries) {
+    if (!e.teamLeader && !e.teamLeaderEmail) { errors.push({ line: e.line, error: "Team leader is blank." }); continue; }
+    if (e.teamLeaderEmail && !isEmail(e.teamLeaderEmail)) {
+      errors.push({ line: e.line, error: `"${e.teamLeaderEmail}" is not an email address.` });
+      continue;
+    }
+    if (e.memberEmail && !isEmail(e.memberEmail)) {
+      errors.push({ line: e.line, error: `"${e.memberEmail}" is not an email address.` });
+      continue;
+    }
+    const key = lower(e.teamLeaderEmail || e.teamLeader);
+    if (!listed.has(key)) {
+      listed.set(key, {
+        line: e.line,
+        name: e.teamLeader || e.teamLeaderEmail,
+        email: e.teamLeaderEmail || null,
+        department: null,
+        site: null,
+        members: new Map()
+      });
+    }
+    const t = listed.get(key);
+    for (const field of ["department", "site"]) {
+      if (!e[field]) continue;
+      if (t[field] && lower(t[field]) !== lower(e[field])) {
+        errors.push({ line: e.line, error: `${t.name} is listed with two ${field}s (${t[field]}, ${e[field]}).` });
+      }
+      t[field] = t[field] || e[field];
+    }
+    if (e.member || e.memberEmail) {
+      const mk = lower(e.memberEmail || e.member);
+      if (t.members.has(mk)) warnings.push({ line: e.line, warning: `${e.member || e.memberEmail} is listed twice for ${t.name}; counted once.` });
+      else t.members.set(mk, { name: e.member || e.memberEmail, email: e.memberEmail || null });
+    }
+  }
+
+  // Match each listed TL to an existing record
+  const live = tls.filter(t => !t.deleted_at);
+  const matchedIds = new Map();
+  for (const t of listed.values()) {
+    let candidates = t.email ? live.filter(x => lower(x.email) === lower(t.email)) : [];
+    if (!candidates.length) {
+      candidates = live.filter(x => lower(x.id) === lower(t.name) || lower(x.display_name) === lower(t.name));
+      // Someone else's email on file means this is a different person of the same name
+      if (t.email) candidates = candidates.filter(x => !x.email);
+    }
+    if (candidates.length > 1) {
+      errors.push({ line: t.line, error: `More than one team leader is called ${t.name}. Add a team leader email column to tell them apart.` });
+      continue;
+    }
+    if (!candidates.length && tls.some(x => x.deleted_at && (lower(x.display_name) === lower(t.name) || lower(x.id) === lower(t.name)))) {
+      errors.push({ line: t.line, error: `${t.name} is in the Trash. Restore or purge them first.` });
+      continue;
+    }
+    const existing = candidates[0] || null;
+    if (existing && matchedIds.has(existing.id)) {
+      errors.push({ line: t.line, error: `${t.name} and ${matchedIds.get(existing.id)} are the same team leader.` });
+      continue;
+    }
+    if (existing) matchedIds.set(existing.id, t.name);
+    t.existing = existing;
+  }
+
+  const hasMembers = columns.includes("member") || columns.includes("memberEmail");
+  const membersByTl = new Map();
+  for (const m of memberRows) {
+    if (!membersByTl.has(m.team_leader_id)) membersByTl.set(m.team_leader_id, new Map());
+    membersByTl.get(m.team_leader_id).set(m.member_key, m.name);
+  }
+
+  const plan = {
+    teamLeaders: { add: [], reactivate: [], update: [], deactivate: [], unchanged: 0 },
+    departments: { add: [] },
+    sites: { add: [] },
+    members: { add: 0, remove: 0, unchanged: 0, replaced: hasMembers },
+    teams: []
+  };
+  const newUnit = (bucket, known, name) => {
+    if (name && !known.some(n => lower(n) === lower(name)) && !bucket.some(n => lower(n) === lower(name))) bucket.push(name);
+  };
+
+  for (const t of listed.values()) {
+    if (t.existing === undefined) continue; // matching failed above
+    newUnit(plan.departments.add, departments, t.department);
+    newUnit(plan.sites.add, sites, t.site);
+
+    const x = t.existing;
+    const changes = {};
+    if (x) {
+      if (t.email && x.display_name !== t.name && lower(x.email) === lower(t.email)) changes.name = { from: x.display_name, to: t.name };
+      if (t.email && lower(x.email) !== lower(t.email)) changes.email = { from: x.email, to: t.email };
+      if (t.department && lower(x.department) !== lower(t.department)) changes.department = { from: x.department, to: t.department };
+      if (t.site && lower(x.site) !== lower(t.site)) changes.site = { from: x.site, to: t.site };
+    }
+    const ref = { id: x?.id || null, name: t.name, line: t.line };
+    if (!x) plan.teamLeaders.add.push({ ...ref, email: t.email, department: t.department, site: t.site });
+    else if (!x.active) plan.teamLeaders.reactivate.push({ ...ref, changes });
+    else if (Object.keys(changes).length) plan.teamLeaders.update.push({ ...ref, changes });
+    else plan.teamLeaders.unchanged++;
+
+    if (hasMembers) {
+      const current = (x && membersByTl.get(x.id)) || new Map();
+      const added = [...t.members.keys()].filter(k => !current.has(k));
+      const removed = [...current.keys()].filter(k => !t.members.has(k));
+      plan.members.add += added.length;
+      plan.members.remove += removed.length;
+      plan.members.unchanged += t.members.size - added.length;
+      plan.teams.push({
+        ...ref,
+        memberCount: t.members.size,
+        added: added.map(k => t.members.get(k).name),
+        removed: removed.map(k => current.get(k))
+      });
+    }
+  }
+
+  if (deactivateMissing) {
+    const listedIds = new Set([...listed.values()].map(t => t.existing?.id).filter(Boolean));
+    for (const x of live) {
+      if (x.active && !listedIds.has(x.id)) plan.teamLeaders.deactivate.push({ id: x.id, name: x.display_name });
+    }
+  }
+
+  return { plan, errors, warnings, listed: [...listed.values()] };
+}
+
+// Carries out a plan from planRosterImport in one transaction
+async function applyRosterImport(client, { plan, listed }, username) {
+  for (const name of plan.departments.add) {
+    await client.query(`INSERT INTO departments (name) VALUES ($1) ON CONFLICT (name) DO NOTHING`, [name]);
+  }
+  for (const name of plan.sites.add) {
+    await client.query(`INSERT INTO sites (name) VALUES ($1) ON CONFLICT (name) DO NOTHING`, [name]);
+  }
+  const unitIds = async (table, names) => {
+    const r = await client.query(`SELECT id, name FROM ${table} WHERE lower(name) = ANY($1)`, [names.map(n => n.toLowerCase())]);
+    return new Map(r.rows.map(row => [row.name.toLowerCase(), row.id]));
+  };
+  const deptIds = await unitIds("departments", listed.map(t => t.department).filter(Boolean));
+  const siteIds = await unitIds("sites", listed.map(t => t.site).filter(Boolean));
+
+  for (const t of listed) {
+    if (t.existing === undefined) continue;
+    const departmentId = t.department ? deptIds.get(t.department.toLowerCase()) : null;
+    const siteId = t.site ? siteIds.get(t.site.toLowerCase()) : null;
+    let id = t.existing?.id;
+    if (!id) {
+      id = newTeamLeaderId();
+      await client.query(
+        `INSERT INTO team_leaders (id, display_name, email, department_id, site_id, active) VALUES ($1, $2, $3, $4, $5, true)`,
+        [id, t.name, t.email, departmentId, siteId]
+      );
+    } else {
+      await client.query(
+        `
+        UPDATE team_leaders SET
+          active = true,
+          display_name = CASE WHEN $3::text IS NOT NULL AND lower(email) = lower($3) THEN $2 ELSE display_name END,
+          email = COALESCE($3, email),
+          department_id = COALESCE($4, department_id),
+          site_id = COALESCE($5, site_id)
+        WHERE id = $1
+        `,
+        [id, t.name, t.email, departmentId, siteId]
+      );
+    }
+
+    if (plan.members.replaced) {
+      const keys = [...t.members.keys()];
+      await client.query(`DELETE FROM roster_members WHERE team_leader_id = $1 AND NOT (member_key = ANY($2))`, [id, keys]);
+      for (const [key, m] of t.members) {
+        await client.query(
+          `
+          INSERT INTO roster_members (team_leader_id, member_key, name, email, imported_by)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (team_leader_id, member_key) DO UPDATE SET
+            name = EXCLUDED.name, email = EXCLUDED.email, imported_by = EXCLUDED.imported_by, imported_at = now()
+          `,
+          [id, key, m.name, m.email, username]
+        );
+      }
+    }
+  }
+
+  const deactivateIds = plan.teamLeaders.deactivate.map(t => t.id);
+  if (deactivateIds.length) {
+    await client.query(`UPDATE team_leaders SET active = false WHERE id = ANY($1)`, [deactivateIds]);
+  }
+}
+
+function rosterSummary(plan) {
+  return {
+    added: plan.teamLeaders.add.length,
+    reactivated: plan.teamLeaders.reactivate.length,
+    updated: plan.teamLeaders.update.length,
+    deactivated: plan.teamLeaders.deactivate.length,
+    departmentsAdded: plan.departments.add.length,
+    sitesAdded: plan.sites.add.length,
+    membersAdded: plan.members.add,
+    membersRemoved: plan.members.remove
+  };
+}
+
+// { csv, dryRun = true, deactivateMissing = false }; nothing is written unless dryRun is false
+// and the file has no errors
+app.post("/api/admin/roster/import", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const csv = typeof req.body?.csv === "string" ? req.body.csv : "";
+  const dryRun = req.body?.dryRun !== false;
+  const deactivateMissing = req.body?.deactivateMissing === true;
+  if (!csv.trim()) return res.status(400).json({ error: "csv required" });
+
+  const roster = readRoster(csv);
+  if (roster.error) return res.status(400).json({ error: roster.error });
+
+  try {
+    const result = await planRosterImport(roster, { deactivateMissing });
+    const body = {
+      dryRun,
+      rows: roster.entries.length,
+      columns: roster.columns,
+      errors: result.errors,
+      warnings: result.warnings,
+      summary: rosterSummary(result.plan),
+      ...result.plan
+    };
+    if (dryRun) return res.json({ ok: true, applied: false, ...body });
+    if (result.errors.length) {
+      return res.status(400).json({ error: "Fix the errors in the file before importing.", applied: false, ...body });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await applyRosterImport(client, result, req.admin.username);
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    await audit(req, "roster.import", {
+      affected: roster.entries.length,
+      details: { ...body.summary, deactivateMissing }
+    });
+    queueRedactionRescan();
+    res.json({ ok: true, applied: true, ...body });
+  } catch (e) {
+    if (e.code === "23505") return res.status(409).json({ error: "A team leader email in the file is already used by someone else." });
+    console.error("Error in /api/admin/roster/import:", e);
+    res.status(500).json({ error: "DB error importing roster." });
+  }
+});
+
+// Team size per TL (for one-code-per-member batches); with teamLeaderId, that team's members too
+app.get("/api/admin/roster", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const teamLeaderId = safeText(req.query?.teamLeaderId) || null;
+  if (teamLeaderId && !ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
+
+  try {
+    const counts = await pool.query(
+      `
+      SELECT tl.id AS "teamLeaderId", COUNT(m.id)::int AS "memberCount", MAX(m.imported_at) AS "importedAt"
+      FROM team_leaders tl
+      LEFT JOIN roster_members m ON m.team_leader_id = tl.id
+      WHERE tl.deleted_at IS NULL AND ($1::text[] IS NULL OR tl.id = ANY($1))
+      GROUP BY tl.id
+      `,
+      [req.admin.teamLeaderIds]
+    );
+    const members = teamLeaderId
+      ? (await pool.query(
+        `SELECT name, email, imported_by AS "importedBy", imported_at AS "importedAt"
+         FROM roster_members WHERE team_leader_id = $1 ORDER BY lower(name) ASC`,
+        [teamLeaderId]
+      )).rows
+      : undefined;
+    res.json({ teamLeaders: counts.rows, ...(members && { members }) });
+  } catch (e) {
+    console.error("Error in /api/admin/roster:", e);
+    res.status(500).json({ error: "DB error loading roster." });
+  }
+});
+
+// Generate codes
+const MAX_CODES_PER_BATCH = 2000;
+
+// Accepts teamLeaderIds (array) or the older single teamLeaderId; count is per team leader, or
+// perMember: true issues one code per member of each TL's imported roster instead
+app.post("/api/admin/generate-codes", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const rawIds = Array.isArray(req.body?.teamLeaderIds) ? req.body.teamLeaderIds : [req.body?.teamLeaderId];
+  const teamLeaderIds = [...new Set(rawIds.map(safeText).filter(Boolean))];
+  const perMember = req.body?.perMember === true;
+  const count = perMember ? null : Number(req.body?.count || 0);
+  const expiresAt = parseOptionalDate(req.body?.expiresAt);
+  const raterGroup = safeText(req.body?.raterGroup) || DEFAULT_RATER_GROUP;
+
+  if (!campaignId || !teamLeaderIds.length || (!perMember && (!Number.isInteger(count) || count < 1 || count > 500))) {
+    return res.status(400).json({ error: "campaignId, teamLeaderIds, count required" });
+  }
+  if (!RATER_GROUPS.includes(raterGroup)) {
+    return res.status(400).json({ error: `raterGroup must be one of ${RATER_GROUPS.join(", ")}` });
+  }
+  if (expiresAt.error) return res.status(400).json({ error: "expiresAt must be a valid date" });
+  if (!perMember && teamLeaderIds.length * count > MAX_CODES_PER_BATCH) {
+    return res.status(400).json({ error: `At most ${MAX_CODES_PER_BATCH} codes per batch.` });
+  }
+  const outOfScope = teamLeaderIds.filter(id => !canAccessTeamLeader(req.admin, id));
+  if (outOfScope.length) {
+    return res.status(403).json({ error: `Not permitted for team leader(s): ${outOfScope.join(", ")}` });
+  }
+
+  const client = await pool.connect();
+  try {
+    const c = await client.query(`SELECT status FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
+    if (!c.rowCount) return res.status(400).json({ error: "Campaign not found" });
+    if (c.rows[0].status === "archived") return res.status(409).json({ error: "Archived cycles cannot issue codes" });
+
+    const tl = await client.query(
+      `SELECT id FROM team_leaders WHERE id = ANY($1) AND active = true AND deleted_at IS NULL`,
+      [teamLeaderIds]
+    );
+    const found = new Set(tl.rows.map(r => r.id));
+    const missing = teamLeaderIds.filter(id => !found.has(id));
+    if (missing.length) {
+      return res.status(400).json({ error: `Team leader not found / inactive: ${missing.join(", ")}` });
+    }
+
+    const counts = new Map(teamLeaderIds.map(id => [id, count]));
+    if (perMember) {
+      const r = await client.query(
+        `SELECT team_leader_id, COUNT(*)::int AS n FROM roster_members WHERE team_leader_id = ANY($1) GROUP BY team_leader_id`,
+        [teamLeaderIds]
+      );
+      for (const id of teamLeaderIds) counts.set(id, r.rows.find(x => x.team_leader_id === id)?.n || 0);
+      const empty = teamLeaderIds.filter(id => !counts.get(id));
+      if (empty.length) return res.status(400).json({ error: `No roster members for team leader(s): ${empty.join(", ")}` });
+      if ([...counts.values()].reduce((a, n) => a + n, 0) > MAX_CODES_PER_BATCH) {
+        return res.status(400).json({ error: `At most ${MAX_CODES_PER_BATCH} codes per batch.` });
+      }
+    }
+
+    await client.query("BEGIN");
+    const batch = await client.query(
+      `
+      INSERT INTO code_batches (campaign_id, team_leader_ids, per_leader_count, from_roster, rater_group, created_by, created_by_username)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, created_at
+      `,
+      [campaignId, teamLeaderIds, count, perMember, raterGroup, req.admin.id, req.admin.username]
+    );
+    const batchId = batch.rows[0].id;
+
+    const byTeamLeader = [];
+    for (const teamLeaderId of teamLeaderIds) {
+      const codes = [];
+      for (let i = 0; i < counts.get(teamLeaderId); i++) codes.push(randomCode());
+
+      const vals = [];
+      const params = [];
+      let p = 1;
+      for (const code of codes) {
+        vals.push(`($${p++}, $${p++}, $${p++}, $${p++}, $${p++}, $${p++})`);
+        params.push(code, teamLeaderId, campaignId, batchId, expiresAt.value, raterGroup);
+      }
+
+      await client.query(
+        `INSERT INTO codes (code, team_leader_id, campaign_id, batch_id, expires_at, rater_group) VALUES ${vals.join(", ")}`,
+        params
+      );
+      byTeamLeader.push({ teamLeaderId, codes });
+    }
+    await client.query("COMMIT");
+
+    const total = byTeamLeader.reduce((a, g) => a + g.codes.length, 0);
+    await audit(req, "codes.generate", {
+      campaignId,
+      teamLeaderId: teamLeaderIds.length === 1 ? teamLeaderIds[0] : null,
+      affected: total,
+      details: { batchId, teamLeaderIds, perLeader: count, perMember, raterGroup }
+    });
+    res.json({
+      ok: true,
+      batchId,
+      raterGroup,
+      byTeamLeader,
+      codes: byTeamLeader.flatMap(g => g.codes) // flat list kept for older callers
+    });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error generating codes:", e);
+    res.status(500).json({ error: "DB error generating codes." });
+  } finally {
+    client.release();
+  }
+});
+
+// Batches visible to this admin (line managers only see batches wholly within their scope)
+app.get("/api/admin/code-batches", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const campaignId = safeText(req.query?.campaignId) || null;
+  try {
+    const r = await pool.query(
+      `
+      SELECT b.id, b.campaign_id, c.label AS campaign_label, b.team_leader_ids, b.per_leader_count, b.from_roster, b.emailed,
+             b.rater_group, b.created_by_username, b.created_at,
+             COUNT(k.id)::int AS code_count,
+             COUNT(k.id) FILTER (
+               WHERE k.used = false AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > now())
+             )::int AS unused_count
+      FROM code_batches b
+      JOIN campaigns c ON c.id = b.campaign_id AND c.deleted_at IS NULL
+      LEFT JOIN codes k ON k.batch_id = b.id
+      WHERE ($1::text IS NULL OR b.campaign_id = $1)
+        AND ($2::text[] IS NULL OR b.team_leader_ids <@ $2)
+      GROUP BY b.id, c.label
+      ORDER BY b.created_at DESC
+      LIMIT 100
+      `,
+      [campaignId, req.admin.teamLeaderIds]
+    );
+    res.json({ batches: r.rows });
+  } catch (e) {
+    console.error("Error in /api/admin/code-batches:", e);
+    res.status(500).json({ error: "DB error loading code batches." });
+  }
+});
+
+function questionnaireUrl(req) {
+  const base = safeText(PUBLIC_URL) || `${req.protocol}://${req.get("host")}`;
+  return base.replace(/\/+$/, "") + "/";
+}
+
+// Code in the fragment so it never reaches server logs; index.html prefills from it
+function codeLink(baseUrl, code) {
+  return `${baseUrl}#code=${encodeURIComponent(code)}`;
+}
+
+// Draws a QR code as filled squares (no network, no raster images)
+function pdfQrCode(doc, text, x, y, size) {
+  const qr = QRCode.create(text, { errorCorrectionLevel: "M" });
+  const n = qr.modules.size;
+  const cell = size / n;
+  doc.save().fillColor("#000000");
+  for (let row = 0; row < n; row++) {
+    for (let col = 0; col < n; col++) {
+      if (qr.modules.get(row, col)) doc.rect(x + col * cell, y + row * cell, cell, cell);
+    }
+  }
+  doc.fill().restore();
+}
+
+// A4 sheet of 2 x 5 cut-out slips with dashed cut lines
+function pdfCodeSlips(doc, { campaign, baseUrl, codes }) {
+  const cols = 2;
+  const rows = 5;
+  const m = 30;
+  const slipW = (doc.page.width - m * 2) / cols;
+  const slipH = (doc.page.height - m * 2) / rows;
+  const qrSize = slipH - 40;
+
+  codes.forEach((c, i) => {
+    const pos = i % (cols * rows);
+    if (i > 0 && pos === 0) doc.addPage();
+    const x = m + (pos % cols) * slipW;
+    const y = m + Math.floor(pos / cols) * slipH;
+
+    doc.save().dash(4, { space: 3 }).lineWidth(0.5).strokeColor("#9ca3af").rect(x, y, slipW, slipH).stroke().restore();
+
+    const textX = x + 16;
+    const textW = slipW - qrSize - 44;
+    doc.font("Helvetica-Bold").fontSize(11).fillColor(PDF_COLORS.text)
+      .text("360° Feedback", textX, y + 18, { width: textW });
+    doc.font("Helvetica").fontSize(9).fillColor(PDF_COLORS.muted)
+      .text(campaign.label, textX, y + 34, { width: textW, lineBreak: false, ellipsis: true });
+    doc.font("Helvetica").fontSize(8).fillColor(PDF_COLORS.text)
+      .text(`Team leader: ${c.team_leader_name}`, textX, y + 50, { width: textW, lineBreak: false, ellipsis: true });
+    doc.font("Courier-Bold").fontSize(18).fillColor(PDF_COLORS.text)
+      .text(c.code, textX, y + 72, { width: textW, lineBreak: false });
+    doc.font("Helvetica").fontSize(7).fillColor(PDF_COLORS.muted)
+      .text(baseUrl, textX, y + 100, { width: textW })
+      .text("Your code is single-use and anonymous.", textX, y + slipH - 28, { width: textW });
+
+    pdfQrCode(doc, codeLink(baseUrl, c.code), x + slipW - qrSize - 20, y + 20, qrSize);
+  });
+}
+
+// Unused codes of one batch as CSV or a printable slips PDF
+app.get("/api/admin/code-batches/:id/export", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const batchId = Number(req.params.id);
+  const format = safeText(req.query?.format) || "csv";
+  if (!Number.isInteger(batchId)) return res.status(400).json({ error: "Invalid batch id" });
+  if (!["csv", "slips"].includes(format)) return res.status(400).json({ error: "format must be csv or slips" });
+
+  try {
+    const b = await pool.query(
+      `
+      SELECT b.id, b.campaign_id, b.team_leader_ids, b.emailed, c.label
+      FROM code_batches b
+      JOIN campaigns c ON c.id = b.campaign_id AND c.deleted_at IS NULL
+      WHERE b.id = $1
+      `,
+      [batchId]
+    );
+    if (!b.rowCount) return res.status(404).json({ error: "Batch not found." });
+    const batch = b.rows[0];
+    const outOfScope = batch.team_leader_ids.filter(id => !canAccessTeamLeader(req.admin, id));
+    if (outOfScope.length) return res.status(403).json({ error: "Not permitted for this batch." });
+    if (batch.emailed) return res.status(400).json({ error: "This batch was sent by email; its codes are not exported." });
+
+    const r = await pool.query(
+      `
+      SELECT k.code, k.team_leader_id, tl.display_name AS team_leader_name, k.rater_group
+      FROM codes k
+      JOIN team_leaders tl ON tl.id = k.team_leader_id AND tl.deleted_at IS NULL
+      WHERE k.batch_id = $1 AND k.used = false
+        AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > now())
+      ORDER BY lower(tl.display_name) ASC, k.team_leader_id ASC, k.id ASC
+      `,
+      [batchId]
+    );
+    if (!r.rowCount) return res.status(400).json({ error: "No unused codes left in this batch." });
+
+    const baseUrl = questionnaireUrl(req);
+    const campaign = { id: batch.campaign_id, label: batch.label };
+    const filename = `TL360-${batch.campaign_id}-batch${batchId}`.replace(/[^A-Za-z0-9._-]/g, "_");
+    await audit(req, "codes.export", {
+      campaignId: batch.campaign_id,
+      affected: r.rowCount,
+      details: { batchId, format }
+    });
+
+    if (format === "csv") {
+      const rows = [
+        ["Code", "Team Leader", "Rater group", "Cycle", "Questionnaire URL", "Direct link"],
+        ...r.rows.map(c => [
+          c.code, c.team_leader_name, RATER_GROUP_LABELS[c.rater_group], campaign.label, baseUrl, codeLink(baseUrl, c.code)
+        ])
+      ];
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      return res.send("\uFEFF" + toCsv(rows));
+    }
+
+    const doc = new PDFDocument({ size: "A4", margin: 0, info: { Title: `Feedback codes – ${campaign.label}`, Creator: "TL360" } });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}-slips.pdf"`);
+    doc.pipe(res);
+    pdfCodeSlips(doc, { campaign, baseUrl, codes: r.rows });
+    doc.end();
+  } catch (e) {
+    console.error("Error in /api/admin/code-batches/:id/export:", e);
+    if (!res.headersSent) res.status(500).json({ error: "Error exporting codes." });
+  }
+});
+
+const CODE_STATUSES = ["unused", "used", "revoked", "expired"];
+
+// Status order matters: a used code stays "used" even if it had an expiry
+const CODE_STATUS_SQL = `
+  CASE
+    WHEN k.used THEN 'used'
+    WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN k.expires_at IS NOT NULL AND k.expires_at <= now() THEN 'expired'
+    ELSE 'unused'
+  END
+`;
+
+// Lists codes without used_at so a code can't be matched to a response by time
+app.get("/api/admin/codes", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const campaignId = safeText(req.query?.campaignId);
+  const teamLeaderId = safeText(req.query?.teamLeaderId) || null;
+  const batchId = req.query?.batchId ? Number(req.query.batchId) : null;
+  const status = safeText(req.query?.status) || null;
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+  if (status && !CODE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${CODE_STATUSES.join(", ")}` });
+  }
+  if (teamLeaderId && !ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
+
+  try {
+    const r = await pool.query(
+      `
+      SELECT * FROM (
+        SELECT k.id, k.code, k.kind, k.rater_group AS "raterGroup", k.team_leader_id AS "teamLeaderId", k.batch_id AS "batchId",
+               k.created_at AS "createdAt", k.expires_at AS "expiresAt", k.revoked_at AS "revokedAt",
+               ${CODE_STATUS_SQL} AS status, COALESCE(b.emailed, false) AS emailed
+        FROM codes k
+        JOIN team_leaders tl ON tl.id = k.team_leader_id AND tl.deleted_at IS NULL
+        LEFT JOIN code_batches b ON b.id = k.batch_id
+        WHERE k.campaign_id = $1
+          AND ($2::text IS NULL OR k.team_leader_id = $2)
+          AND ($3::int IS NULL OR k.batch_id = $3)
+          AND ($4::text[] IS NULL OR k.team_leader_id = ANY($4))
+      ) x
+      WHERE ($5::text IS NULL OR x.status = $5)
+      ORDER BY x."teamLeaderId" ASC, x.id ASC
+      `,
+      [campaignId, teamLeaderId, Number.isInteger(batchId) ? batchId : null, req.admin.teamLeaderIds, status]
+    );
+
+    // Emailed codes only count towards the totals: listed one by one, their status would show who responded
+    const counts = Object.fromEntries(CODE_STATUSES.map(s => [s, 0]));
+    r.rows.forEach(k => { counts[k.status]++; });
+    const codes = r.rows.filter(k => !k.emailed).map(({ emailed, ...k }) => k);
+    res.json({ codes, counts, emailedCount: r.rows.length - codes.length });
+  } catch (e) {
+    console.error("Error in /api/admin/codes:", e);
+    res.status(500).json({ error: "DB error loading codes." });
+  }
+});
+
+/**
+ * Resolves { codeIds } or { batchId } to the still-unused codes it names, or
+ * sends an error response and returns null (missing input or out-of-scope TLs).
+ */
+async function resolveUnusedCodes(req, res) {
+  const codeIds = Array.isArray(req.body?.codeIds)
+    ? req.body.codeIds.map(Number).filter(Number.isInteger)
+    : [];
+  const batchId = req.body?.batchId != null ? Number(req.body.batchId) : null;
+  if (!codeIds.length && !Number.isInteger(batchId)) {
+    res.status(400).json({ error: "codeIds or batchId required" });
+    return null;
+  }
+
+  const r = await pool.query(
+    `
+    SELECT id, code, team_leader_id, campaign_id, batch_id, expires_at
+    FROM codes
+    WHERE used = false AND revoked_at IS NULL
+      AND (id = ANY($1) OR ($2::int IS NOT NULL AND batch_id = $2))
+    `,
+    [codeIds, Number.isInteger(batchId) ? batchId : null]
+  );
+  const outOfScope = [...new Set(r.rows.map(k => k.team_leader_id))].filter(id => !canAccessTeamLeader(req.admin, id));
+  if (outOfScope.length) {
+    res.status(403).json({ error: `Not permitted for team leader(s): ${outOfScope.join(", ")}` });
+    return null;
+  }
+  return r.rows;
+}
+
+// The cycle a set of codes belongs to, or null when they span several (for audit entries)
+function singleCampaignId(codes) {
+  const ids = [...new Set(codes.map(k => k.campaign_id))];
+  return ids.length === 1 ? ids[0] : null;
+}
+
+// Revoke unused codes (one, several or a whole batch); used codes are left alone
+app.post("/api/admin/codes/revoke", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  try {
+    const codes = await resolveUnusedCodes(req, res);
+    if (!codes) return;
+    if (!codes.length) return res.status(400).json({ error: "No unused codes to revoke." });
+
+    const r = await pool.query(
+      `UPDATE codes SET revoked_at = now(), revoked_by = $2 WHERE id = ANY($1) AND used = false AND revoked_at IS NULL`,
+      [codes.map(k => k.id), req.admin.username]
+    );
+    await pool.query(`DELETE FROM feedback_drafts WHERE code_id = ANY($1)`, [codes.map(k => k.id)]);
+    await audit(req, "codes.revoke", {
+      campaignId: singleCampaignId(codes),
+      affected: r.rowCount,
+      details: { codeIds: codes.map(k => k.id), batchId: req.body?.batchId ?? null }
+    });
+    res.json({ ok: true, revoked: r.rowCount });
+  } catch (e) {
+    console.error("Error in /api/admin/codes/revoke:", e);
+    res.status(500).json({ error: "DB error revoking codes." });
+  }
+});
+
+// Set (or clear, with expiresAt null) the expiry of unused codes
+app.post("/api/admin/codes/expiry", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const expiresAt = parseOptionalDate(req.body?.expiresAt);
+  if (expiresAt.error) return res.status(400).json({ error: "expiresAt must be a valid date" });
+
+  try {
+    const codes = await resolveUnusedCodes(req, res);
+    if (!codes) return;
+    if (!codes.length) return res.status(400).json({ error: "No unused codes to update." });
+
+    const r = await pool.query(
+      `UPDATE codes SET expires_at = $2 WHERE id = ANY($1) AND used = false AND revoked_at IS NULL`,
+      [codes.map(k => k.id), expiresAt.value]
+    );
+    await audit(req, "codes.expiry", {
+      campaignId: singleCampaignId(codes),
+      affected: r.rowCount,
+      details: { codeIds: codes.map(k => k.id), expiresAt: expiresAt.value }
+    });
+    res.json({ ok: true, updated: r.rowCount });
+  } catch (e) {
+    console.error("Error in /api/admin/codes/expiry:", e);
+    res.status(500).json({ error: "DB error updating code expiry." });
+  }
+});
+
+// Revoke a leaked/lost code and issue a replacement for the same TL, cycle and batch
+app.post("/api/admin/codes/reissue", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const codeId = Number(req.body?.codeId);
+  if (!Number.isInteger(codeId)) return res.status(400).json({ error: "codeId required" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const r = await client.query(
+      `
+      SELECT k.id, k.kind, k.rater_group, k.team_leader_id, k.campaign_id, k.batch_id, k.expires_at, c.status
+      FROM codes k
+      JOIN campaigns c ON c.id = k.campaign_id AND c.deleted_at IS NULL
+      WHERE k.id = $1 AND k.used = false AND k.revoked_at IS NULL
+      FOR UPDATE OF k
+      `,
+      [codeId]
+    );
+    if (!r.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Code not found, already used or already revoked." });
+    }
+    const old = r.rows[0];
+    if (!canAccessTeamLeader(req.admin, old.team_leader_id)) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: "Not permitted for this team leader" });
+    }
+    if (old.status === "archived") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Archived cycles cannot issue codes" });
+    }
+
+    await client.query(
+      `UPDATE codes SET revoked_at = now(), revoked_by = $2 WHERE id = $1`,
+      [codeId, req.admin.username]
+    );
+    await client.query(`DELETE FROM feedback_drafts WHERE code_id = $1`, [codeId]);
+    // An already-expired code gets a replacement without that stale expiry
+    const expiresAt = old.expires_at && new Date(old.expires_at) > new Date() ? old.expires_at : null;
+    const ins = await client.query(
+      `
+      INSERT INTO codes (code, team_leader_id, campaign_id, batch_id, expires_at, kind, rater_group)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, code, expires_at
+      `,
+      [randomCode(), old.team_leader_id, old.campaign_id, old.batch_id, expiresAt, old.kind, old.rater_group]
+    );
+    await client.query("COMMIT");
+
+    await audit(req, "codes.reissue", {
+      campaignId: old.campaign_id,
+      teamLeaderId: old.team_leader_id,
+      affected: 1,
+      details: { revokedCodeId: codeId, newCodeId: ins.rows[0].id }
+    });
+    res.json({ ok: true, code: ins.rows[0].code, codeId: ins.rows[0].id, expiresAt: ins.rows[0].expires_at });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in /api/admin/codes/reissue:", e);
+    res.status(500).json({ error: "DB error reissuing code." });
+  } finally {
+    client.release();
+  }
+});
+
+// Self-assessment code for one TL in a cycle: returns the live one if there is one, else issues it
+app.post("/api/admin/self-assessment/code", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const teamLeaderId = safeText(req.body?.teamLeaderId);
+  if (!campaignId || !teamLeaderId) return res.status(400).json({ error: "campaignId and teamLeaderId required" });
+  if (!ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
+
+  try {
+    const c = await pool.query(`SELECT status FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
+    if (!c.rowCount) return res.status(400).json({ error: "Campaign not found" });
+    if (c.rows[0].status === "archived") return res.status(409).json({ error: "Archived cycles cannot issue codes" });
+    const tl = await pool.query(`SELECT 1 FROM team_leaders WHERE id = $1 AND active = true AND deleted_at IS NULL`, [teamLeaderId]);
+    if (!tl.rowCount) return res.status(400).json({ error: `Team leader not found / inactive: ${teamLeaderId}` });
+
+    const done = await pool.query(
+      `SELECT 1 FROM self_assessments WHERE campaign_id = $1 AND team_leader_id = $2`,
+      [campaignId, teamLeaderId]
+    );
+    if (done.rowCount) return res.status(409).json({ error: "This team leader has already completed their self-assessment." });
+
+    const existing = await pool.query(
+      `
+      SELECT id, code, expires_at FROM codes
+      WHERE campaign_id = $1 AND team_leader_id = $2 AND kind = 'self' AND used = false
+        AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > now())
+      ORDER BY id DESC LIMIT 1
+      `,
+      [campaignId, teamLeaderId]
+    );
+    let code = existing.rows[0];
+    if (!code) {
+      const ins = await pool.query(
+        `INSERT INTO codes (code, team_leader_id, campaign_id, kind) VALUES ($1, $2, $3, 'self') RETURNING id, code, expires_at`,
+        [randomCode(), teamLeaderId, campaignId]
+      );
+      code = ins.rows[0];
+      await audit(req, "self-code.issue", { campaignId, teamLeaderId, affected: 1, details: { codeId: code.id } });
+    }
+
+    res.json({
+      ok: true,
+      created: !existing.rowCount,
+      codeId: code.id,
+      code: code.code,
+      expiresAt: code.expires_at,
+      link: codeLink(questionnaireUrl(req), code.code)
+    });
+  } catch (e) {
+    console.error("Error in /api/admin/self-assessment/code:", e);
+    res.status(500).json({ error: "DB error issuing self-assessment code." });
+  }
+});
+
+// Overview by TL for a cycle
+// Optional departmentId / siteId filter; groupBy=department|site adds one summary per group
+app.get("/api/admin/overview", adminAuth, async (req, res) => {
+  const campaignId = safeText(req.query?.campaignId);
+  const org = parseOrgFilter(req.query);
+  const groupBy = safeText(req.query?.groupBy) || null;
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+  if (org.error) return res.status(400).json({ error: org.error });
+  if (groupBy && !["department", "site"].includes(groupBy)) {
+    return res.status(400).json({ error: "groupBy must be department or site" });
+  }
+
+  try {
+    const cam = await pool.query(
+      `SELECT id, label, status, opens_at, closes_at FROM campaigns WHERE id = $1 AND deleted_at IS NULL`,
+      [campaignId]
+    );
+    if (!cam.rowCount) return res.status(404).json({ error: "Cycle not found." });
+
+    const r = await pool.query(
+      `
+      SELECT
+        tl.id AS "teamLeaderId",
+        tl.display_name AS "displayName",
+        tl.department_id AS "departmentId",
+        d.name AS department,
+        tl.site_id AS "siteId",
+        st.name AS site,
+        (
+          SELECT COUNT(*) FROM codes k
+          WHERE k.team_leader_id = tl.id AND k.campaign_id = $1 AND k.kind = 'team' AND k.revoked_at IS NULL
+        )::int AS "issuedCount",
+        (
+          SELECT COUNT(*) FROM codes k
+          WHERE k.team_leader_id = tl.id AND k.campaign_id = $1 AND k.kind = 'team' AND k.used = true
+        )::int AS "usedCount",
+        EXISTS (
+          SELECT 1 FROM self_assessments s WHERE s.campaign_id = $1 AND s.team_leader_id = tl.id
+        ) AS "selfAssessed",
+        EXISTS (
+          SELECT 1 FROM report_releases rr WHERE rr.campaign_id = $1 AND rr.team_leader_id = tl.id
+        ) AS "released"
+      FROM team_leaders tl
+      LEFT JOIN departments d ON d.id = tl.department_id
+      LEFT JOIN sites st ON st.id = tl.site_id
+      WHERE tl.active = true
+        AND tl.deleted_at IS NULL
+        AND ($2::text[] IS NULL OR tl.id = ANY($2))
+        AND ($3::int IS NULL OR tl.department_id = $3)
+        AND ($4::int IS NULL OR tl.site_id = $4)
+      ORDER BY lower(tl.display_name) ASC, tl.id ASC
+      `,
+      [campaignId, req.admin.teamLeaderIds, org.departmentId, org.siteId]
+    );
+    const f = await pool.query(
+      `SELECT team_leader_id, rater_group, overall_score FROM feedback WHERE campaign_id = $1 AND deleted_at IS NULL`,
+      [campaignId]
+    );
+    const feedbackByTl = new Map();
+    for (const row of f.rows) {
+      if (!feedbackByTl.has(row.team_leader_id)) feedbackByTl.set(row.team_leader_id, []);
+      feedbackByTl.get(row.team_leader_id).push(row);
+    }
+    const { definition } = await loadCampaignTemplate(campaignId);
+
+    const results = r.rows.map(row => {
+      const rows = feedbackByTl.get(row.teamLeaderId) || [];
+      const byGroup = splitByRaterGroup(rows, definition);
+      const headline = aggregateFeedback(byGroup.rows);
+      return {
+        teamLeaderId: row.teamLeaderId,
+        displayName: row.displayName,
+        departmentId: row.departmentId,
+        department: row.department,
+        siteId: row.siteId,
+        site: row.site,
+        responseCount: rows.length,
+        avgScore: meetsAnonymityThreshold(headline.responseCount) ? headline.avgOverall : null,
+        suppressed: rows.length > 0 && !meetsAnonymityThreshold(headline.responseCount),
+        withheldResponses: byGroup.withheldResponses,
+        raterGroups: byGroup.groups.map(g => ({
+          raterGroup: g.raterGroup,
+          label: g.label,
+          responseCount: g.responseCount,
+          avgScore: g.avgOverall,
+          suppressed: g.suppressed
+        })),
+        issuedCount: row.issuedCount,
+        usedCount: row.usedCount,
+        participationRate: row.issuedCount ? row.usedCount / row.issuedCount : null,
+        selfAssessed: row.selfAssessed,
+        released: row.released,
+        countedRows: byGroup.rows
+      };
+    });
+
+    // Group averages pool the responses each TL reports on, so the threshold applies to the group
+    // as a whole and a group is never averaged over a TL whose own scores are withheld
+    let groups;
+    if (groupBy) {
+      const byUnit = new Map();
+      for (const t of results) {
+        const key = t[`${groupBy}Id`] ?? null;
+        if (!byUnit.has(key)) byUnit.set(key, { id: key, name: t[groupBy] || null, teamLeaders: [] });
+        byUnit.get(key).teamLeaders.push(t);
+      }
+      groups = [...byUnit.values()].map(g => {
+        const reported = g.teamLeaders.filter(t => t.avgScore != null);
+        const agg = aggregateFeedback(reported.flatMap(t => t.countedRows));
+        const issued = g.teamLeaders.reduce((n, t) => n + t.issuedCount, 0);
+        const used = g.teamLeaders.reduce((n, t) => n + t.usedCount, 0);
+        return {
+          id: g.id,
+          name: g.name,
+          teamLeaderCount: g.teamLeaders.length,
+          reportedLeaders: reported.length,
+          responseCount: agg.responseCount,
+          avgScore: meetsAnonymityThreshold(agg.responseCount) ? agg.avgOverall : null,
+          issuedCount: issued,
+          usedCount: used,
+          participationRate: issued ? used / issued : null
+        };
+      });
+    }
+
+    res.json({
+      campaign: cam.rows[0],
+      anonymityThreshold: ANONYMITY_THRESHOLD,
+      filter: { departmentId: org.departmentId, siteId: org.siteId },
+      results: results.map(({ countedRows, ...t }) => t),
+      ...(groupBy && { groupBy, groups })
+    });
+  } catch (e) {
+    console.error("Error in /api/admin/overview:", e);
+    res.status(500).json({ error: "DB error loading overview." });
+  }
+});
+
+// Detail for TL+cycle
+app.get("/api/admin/detail", adminAuth, async (req, res) => {
+  const campaignId = safeText(req.query?.campaignId);
+  const teamLeaderId = safeText(req.query?.teamLeaderId);
+  if (!campaignId || !teamLeaderId) return res.status(400).json({ error: "campaignId and teamLeaderId required" });
+  if (!ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
+
+  try {
+    const cam = await pool.query(`SELECT id, label FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
+    if (!cam.rowCount) return res.status(404).json({ error: "Cycle not found." });
+
+    const r = await pool.query(
+      `
+      SELECT scores_json, overall_score, redacted_json, review_status, rater_group
+      FROM feedback
+      WHERE campaign_id = $1 AND team_leader_id = $2 AND deleted_at IS NULL
+      ORDER BY random()
+      `,
+      [campaignId, teamLeaderId]
+    );
+
+    const template = await loadCampaignTemplate(campaignId);
+    const byGroup = splitByRaterGroup(r.rows, template.definition);
+    const { avgOverall, questionAverages, categoryAverages: catScores, suppressed } =
+      withholdIfTooFew(aggregateFeedback(byGroup.rows), template.definition);
+    const responseCount = r.rows.length;
+
+    // Comments from a withheld rater group are left out, as in the TL's own report
+    const comments = !suppressed && byGroup.rows.length >= MIN_COMMENTS_FOR_DISPLAY ? commentLists(byGroup.rows) : null;
+    const commentsAwaitingReview = byGroup.rows.filter(x => x.review_status === "pending").length;
+
+    const selfRow = await pool.query(
+      `SELECT scores_json, overall_score, created_at FROM self_assessments WHERE campaign_id = $1 AND team_leader_id = $2`,
+      [campaignId, teamLeaderId]
+    );
+    const selfAssessment = selfAssessmentGaps(
+      selfRow.rows[0],
+      { responseCount, avgOverall, questionAverages, categoryAverages: catScores, suppressed },
+      template.definition
+    );
+
+    const actionAreas = computeActionAreas(catScores);
+
+    // Position against other TLs; none while this TL's own scores are withheld
+    let benchmark = null;
+    if (!suppressed && avgOverall != null) {
+      const leaders = await loadLeaderAverages();
+      const bm = await loadBenchmarks(campaignId, {}, leaders);
+      const own = { avgOverall, categoryAverages: catScores, questionAverages };
+      benchmark = {
+        minLeaders: BENCHMARK_MIN_LEADERS,
+        cycle: { leaderCount: bm.cycle.leaderCount, ...benchmarkPosition(bm.cycle.series, own) },
+        historic: {
+          leaderCount: bm.historic.leaderCount,
+          cycleCount: bm.historic.cycleCount,
+          ...benchmarkPosition(bm.historic.series, own)
+        },
+        department: null
+      };
+      const dept = await pool.query(
+        `SELECT d.id, d.name FROM team_leaders tl JOIN departments d ON d.id = tl.department_id WHERE tl.id = $1`,
+        [teamLeaderId]
+      );
+      if (dept.rowCount) {
+        const dbm = await loadBenchmarks(campaignId, { departmentId: dept.rows[0].id }, leaders);
+        benchmark.department = {
+          id: dept.rows[0].id,
+          name: dept.rows[0].name,
+          leaderCount: dbm.cycle.leaderCount,
+          ...benchmarkPosition(dbm.cycle.series, own)
+        };
+      }
+    }
+
+    const rel = await pool.query(
+      `SELECT released_by, released_at FROM report_releases WHERE campaign_id = $1 AND team_leader_id = $2`,
+      [campaignId, teamLeaderId]
+    );
+    const release = rel.rowCount ? { releasedBy: rel.rows[0].released_by, releasedAt: rel.rows[0].released_at } : null;
+
+    // This cycle's plans, plus earlier plans whose category this cycle is the first to report on again
+    const actionPlans = (await loadActionPlans(teamLeaderId)).filter(
+      p => p.campaignId === campaignId || p.followUp.cycleId === campaignId
+    );
+
+    await audit(req, "detail.view", {
+      campaignId,
+      teamLeaderId,
+      affected: responseCount,
+      details: { commentsShown: !!comments }
+    });
+
+    res.json({
+      campaign: cam.rows[0],
+      teamLeaderId,
+      responseCount,
+      avgOverall,
+      questionAverages,
+      categoryAverages: catScores,
+      actionAreas,
+      actionPlans,
+      release,
+      suppressed,
+      anonymityThreshold: ANONYMITY_THRESHOLD,
+      benchmark,
+      raterGroups: byGroup.groups.map(raterGroupSummary),
+      // Responses from a rater group too small to report on its own are left out of the averages
+      withheldResponses: byGroup.withheldResponses,
+      comments,
+      commentsAwaitingReview,
+      selfAssessment,
+      questionnaire: {
+        templateId: template.id,
+        templateKey: template.templateKey,
+        version: template.version,
+        scale: template.definition.scale,
+        categories: template.definition.categories
+      }
+    });
+  } catch (e) {
+    console.error("Error in /api/admin/detail:", e);
+    res.status(500).json({ error: "DB error loading detail." });
+  }
+});
+
+// Move all feedback for TL in a cycle to the Trash (testing cleanup)
+app.post("/api/admin/delete-feedback", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const teamLeaderId = safeText(req.body?.teamLeaderId);
+  if (!campaignId || !teamLeaderId) return res.status(400).json({ error: "campaignId and teamLeaderId required" });
+
+  try {
+    const r = await pool.query(
+      `UPDATE feedback SET deleted_at = now(), deleted_by = $3
+       WHERE campaign_id = $1 AND team_leader_id = $2 AND deleted_at IS NULL`,
+      [campaignId, teamLeaderId, req.admin.username]
+    );
+    await audit(req, "feedback.delete", { campaignId, teamLeaderId, affected: r.rowCount, details: { trashed: true } });
+    res.json({ ok: true, deletedRows: r.rowCount, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (e) {
+    console.error("Error deleting feedback:", e);
+    res.status(500).json({ error: "DB error deleting feedback." });
+  }
+});
+
+// -----------------------------
+// Trash (soft-deleted cycles, TLs and feedback)
+// -----------------------------
+const TRASH_TYPES = ["campaign", "team-leader", "feedback"];
+
+app.get("/api/admin/trash", adminAuth, requireRole("super-admin"), async (req, res) => {
+  try {
+    const campaigns = await pool.query(
+      `
+      SELECT c.id, c.label, c.deleted_at, c.deleted_by,
+             c.deleted_at + make_interval(days => $1) AS "purgeAfter",
+             (SELECT COUNT(*)::int FROM codes k WHERE k.campaign_id = c.id) AS codes,
+             (SELECT COUNT(*)::int FROM feedback f WHERE f.campaign_id = c.id AND f.deleted_at IS NULL) AS feedback
+      FROM campaigns c
+      WHERE c.deleted_at IS NOT NULL
+      ORDER BY c.deleted_at DESC
+      `,
+      [TRASH_RETENTION_DAYS]
+    );
+    const teamLeaders = await pool.query(
+      `
+      SELECT tl.id, tl.display_name AS name, tl.deleted_at, tl.deleted_by,
+             tl.deleted_at + make_interval(days => $1) AS "purgeAfter",
+             (SELECT COUNT(*)::int FROM feedback f WHERE f.team_leader_id = tl.id AND f.deleted_at IS NULL) AS feedback
+      FROM team_leaders tl
+      WHERE tl.deleted_at IS NOT NULL
+      ORDER BY tl.deleted_at DESC
+      `,
+      [TRASH_RETENTION_DAYS]
+    );
+    const feedback = await pool.query(
+      `
+      SELECT f.campaign_id AS "campaignId", f.team_leader_id AS "teamLeaderId", tl.display_name AS "teamLeaderName",
+             COUNT(*)::int AS count, MAX(f.deleted_at) AS deleted_at, MAX(f.deleted_by) AS deleted_by,
+             MAX(f.deleted_at) + make_interval(days => $1) AS "purgeAfter"
+      FROM feedback f
+      JOIN team_leaders tl ON tl.id = f.team_leader_id
+      WHERE f.deleted_at IS NOT NULL
+      GROUP BY f.campaign_id, f.team_leader_id, tl.display_name
+      ORDER BY MAX(f.deleted_at) DESC
+      `,
+      [TRASH_RETENTION_DAYS]
+    );
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      campaigns: campaigns.rows,
+      teamLeaders: teamLeaders.rows,
+      feedback: feedback.rows
+    });
+  } catch (e) {
+    console.error("Error in /api/admin/trash:", e);
+    res.status(500).json({ error: "DB error loading trash." });
+  }
+});
+
+app.post("/api/admin/trash/restore", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const type = safeText(req.body?.type);
+  const campaignId = safeText(req.body?.campaignId);
+  const teamLeaderId = safeText(req.body?.teamLeaderId);
+  if (!TRASH_TYPES.includes(type)) return res.status(400).json({ error: `type must be one of ${TRASH_TYPES.join(", ")}` });
+
+  try {
+    let r;
+    if (type === "campaign") {
+      if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+      r = await pool.query(
+        `UPDATE campaigns SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 AND deleted_at IS NOT NULL`,
+        [campaignId]
+      );
+    } else if (type === "team-leader") {
+      if (!teamLeaderId) return res.status(400).json({ error: "teamLeaderId required" });
+      r = await pool.query(
+        `UPDATE team_leaders SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 AND deleted_at IS NOT NULL`,
+        [teamLeaderId]
+      );
+    } else {
+      if (!campaignId || !teamLeaderId) return res.status(400).json({ error: "campaignId and teamLeaderId required" });
+      r = await pool.query(
+        `UPDATE feedback SET deleted_at = NULL, deleted_by = NULL
+         WHERE campaign_id = $1 AND team_leader_id = $2 AND deleted_at IS NOT NULL`,
+        [campaignId, teamLeaderId]
+      );
+    }
+
+    if (!r.rowCount) return res.status(404).json({ error: "Nothing in the Trash matches." });
+    await audit(req, `${type}.restore`, { campaignId, teamLeaderId, affected: r.rowCount });
+    res.json({ ok: true, restored: r.rowCount });
+  } catch (e) {
+    // A live TL may have taken the trashed TL's email in the meantime
+    if (e.code === "23505" && e.constraint === "team_leaders_email_idx") {
+      return res.status(409).json({
+        error: "Another team leader now uses this team leader's email. Change theirs first, then restore."
+      });
+    }
+    console.error("Error restoring from trash:", e);
+    res.status(500).json({ error: "DB error restoring." });
+  }
+});
+
+/**
+ * Permanently removes trashed items. Either one item ({ type, campaignId / teamLeaderId })
+ * or everything past the retention period ({ expired: true }). Live rows are never touched.
+ */
+app.post("/api/admin/trash/purge", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const expired = req.body?.expired === true;
+  const type = safeText(req.body?.type);
   const campaignId = safeText(req.body?.campaignId);
   const teamLeaderId = safeText(req.body?.teamLeaderId);
-  const count = Number(req.body?.count || 0);
+  if (!expired && !TRASH_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type (${TRASH_TYPES.join(", ")}) or expired: true required` });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const purged = { campaigns: 0, teamLeaders: 0, feedback: 0 };
+
+    if (expired) {
+      const cutoff = `now() - make_interval(days => $1)`;
+      purged.feedback = (await client.query(
+        `DELETE FROM feedback WHERE deleted_at IS NOT NULL AND deleted_at < ${cutoff}`,
+        [TRASH_RETENTION_DAYS]
+      )).rowCount;
+      purged.campaigns = (await client.query(
+        `DELETE FROM campaigns WHERE deleted_at IS NOT NULL AND deleted_at < ${cutoff}`,
+        [TRASH_RETENTION_DAYS]
+      )).rowCount;
+      purged.teamLeaders = (await client.query(
+        `DELETE FROM team_leaders WHERE deleted_at IS NOT NULL AND deleted_at < ${cutoff}`,
+        [TRASH_RETENTION_DAYS]
+      )).rowCount;
+    } else if (type === "campaign") {
+      if (!campaignId) throw Object.assign(new Error("campaignId required"), { status: 400 });
+      // ON DELETE CASCADE takes the cycle's codes and feedback with it
+      purged.campaigns = (await client.query(
+        `DELETE FROM campaigns WHERE id = $1 AND deleted_at IS NOT NULL`,
+        [campaignId]
+      )).rowCount;
+    } else if (type === "team-leader") {
+      if (!teamLeaderId) throw Object.assign(new Error("teamLeaderId required"), { status: 400 });
+      purged.teamLeaders = (await client.query(
+        `DELETE FROM team_leaders WHERE id = $1 AND deleted_at IS NOT NULL`,
+        [teamLeaderId]
+      )).rowCount;
+    } else {
+      if (!campaignId || !teamLeaderId) {
+        throw Object.assign(new Error("campaignId and teamLeaderId required"), { status: 400 });
+      }
+      purged.feedback = (await client.query(
+        `DELETE FROM feedback WHERE campaign_id = $1 AND team_leader_id = $2 AND deleted_at IS NOT NULL`,
+        [campaignId, teamLeaderId]
+      )).rowCount;
+    }
+
+    // A summary must not outlive the responses it was written from
+    await client.query(`
+      DELETE FROM ai_summaries s
+      WHERE NOT EXISTS (SELECT 1 FROM feedback f WHERE f.campaign_id = s.campaign_id AND f.team_leader_id = s.team_leader_id)
+    `);
+
+    await client.query("COMMIT");
+    const total = purged.campaigns + purged.teamLeaders + purged.feedback;
+    await audit(req, "trash.purge", {
+      campaignId,
+      teamLeaderId,
+      affected: total,
+      details: { type: expired ? "expired" : type, ...purged }
+    });
+    res.json({ ok: true, purged });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error("Error purging trash:", e);
+    res.status(500).json({ error: "DB error purging trash." });
+  } finally {
+    client.release();
+  }
+});
+
+// Audit log browser (newest first; pass ?before=<id> to page back)
+app.get("/api/admin/audit-log", adminAuth, requireRole("super-admin", "hr-viewer"), async (req, res) => {
+  const action = safeText(req.query?.action);
+  const actor = safeText(req.query?.actor);
+  const campaignId = safeText(req.query?.campaignId);
+  const teamLeaderId = safeText(req.query?.teamLeaderId);
+  const from = parseOptionalDate(req.query?.from);
+  const to = parseOptionalDate(req.query?.to);
+  const before = Number(req.query?.before) || null;
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 100, 1), 500);
+  if (from.error || to.error) return res.status(400).json({ error: "from / to must be valid dates" });
+
+  try {
+    const r = await pool.query(
+      `
+      SELECT id, actor_username AS actor, action, campaign_id AS "campaignId", team_leader_id AS "teamLeaderId",
+             affected_rows AS affected, details_json AS details, created_at
+      FROM audit_log
+      WHERE ($1 = '' OR action = $1)
+        AND ($2 = '' OR actor_username = $2)
+        AND ($3 = '' OR campaign_id = $3)
+        AND ($4 = '' OR team_leader_id = $4)
+        AND ($5::timestamptz IS NULL OR created_at >= $5)
+        AND ($6::timestamptz IS NULL OR created_at < $6)
+        AND ($7::bigint IS NULL OR id < $7)
+      ORDER BY id DESC
+      LIMIT $8
+      `,
+      [action, actor, campaignId, teamLeaderId, from.value, to.value, before, limit]
+    );
+    const actions = await pool.query(`SELECT DISTINCT action FROM audit_log ORDER BY action ASC`);
+
+    res.json({
+      entries: r.rows,
+      actions: actions.rows.map(x => x.action),
+      nextBefore: r.rowCount === limit ? r.rows[r.rowCount - 1].id : null
+    });
+  } catch (e) {
+    console.error("Error in /api/admin/audit-log:", e);
+    res.status(500).json({ error: "DB error loading audit log." });
+  }
+});
+
+// Failed code entries / admin logins, plus who is locked out right now
+app.get("/api/admin/auth-failures", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const hours = Math.min(Math.max(Number(req.query?.hours) || 24, 1), AUTH_FAILURE_RETENTION_DAYS * 24);
+
+  try {
+    const recent = await pool.query(
+      `
+      SELECT kind, ip, identifier, user_agent, created_at
+      FROM auth_failures
+      WHERE created_at > now() - make_interval(hours => $1)
+      ORDER BY created_at DESC
+      LIMIT 200
+      `,
+      [hours]
+    );
+    const byIp = await pool.query(
+      `
+      SELECT kind, ip, COUNT(*)::int AS failures, MAX(created_at) AS last_at
+      FROM auth_failures
+      WHERE created_at > now() - make_interval(hours => $1)
+      GROUP BY kind, ip
+      ORDER BY failures DESC, last_at DESC
+      LIMIT 20
+      `,
+      [hours]
+    );
+
+    // Same rule as checkAuthThrottle, evaluated for every IP / username at once
+    const locked = [];
+    for (const [kind, limits] of Object.entries(AUTH_THROTTLE)) {
+      const r = await pool.query(
+        `
+        SELECT 'ip' AS scope, ip AS subject, COUNT(*)::int AS failures, MIN(created_at) AS oldest
+        FROM auth_failures
+        WHERE kind = $1 AND created_at > now() - make_interval(mins => $2)
+        GROUP BY ip HAVING COUNT(*) >= $3
+        UNION ALL
+        SELECT 'identifier', identifier, COUNT(*)::int, MIN(created_at)
+        FROM auth_failures
+        WHERE kind = $1 AND identifier IS NOT NULL AND $4::int IS NOT NULL
+          AND created_at > now() - make_interval(mins => $2)
+        GROUP BY identifier HAVING COUNT(*) >= $4
+        UNION ALL
+        SELECT 'global', NULL, COUNT(*)::int, MIN(created_at)
+        FROM auth_failures
+        WHERE kind = $1 AND created_at > now() - make_interval(mins => $2)
+        HAVING COUNT(*) >= $5
+        `,
+        [kind, limits.windowMinutes, limits.perIp, limits.perIdentifier ?? null, limits.global]
+      );
+      r.rows.forEach(row => locked.push({
+        kind,
+        ...row,
+        until: new Date(new Date(row.oldest).getTime() + limits.windowMinutes * 60000)
+      }));
+    }
+
+    res.json({ hours, limits: AUTH_THROTTLE, locked, byIp: byIp.rows, recent: recent.rows });
+  } catch (e) {
+    console.error("Error in /api/admin/auth-failures:", e);
+    res.status(500).json({ error: "DB error loading failed attempts." });
+  }
+});
+
+// -----------------------------
+// Comment redaction review (super-admin only: this is where originals are visible)
+// -----------------------------
+const REDACTION_DECISIONS = { approve: "approved", exclude: "excluded" };
+
+app.get("/api/admin/redaction/queue", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const campaignId = safeText(req.query?.campaignId);
+  const status = safeText(req.query?.status) || "pending";
+  if (!["pending", "approved", "excluded"].includes(status)) {
+    return res.status(400).json({ error: "status must be pending, approved or excluded" });
+  }
+
+  try {
+    const r = await pool.query(
+      `
+      SELECT f.id, f.campaign_id AS "campaignId", f.team_leader_id AS "teamLeaderId",
+             f.strengths_text, f.dev_text, f.other_text,
+             f.redacted_json, f.redaction_flags, f.review_status AS "reviewStatus",
+             f.reviewed_by AS "reviewedBy", f.reviewed_at AS "reviewedAt"
+      FROM feedback f
+      JOIN campaigns c ON c.id = f.campaign_id AND c.deleted_at IS NULL
+      WHERE f.deleted_at IS NULL AND f.review_status = $1
+        AND ($2::text IS NULL OR f.campaign_id = $2)
+      ORDER BY f.campaign_id, f.team_leader_id, random()
+      LIMIT 200
+      `,
+      [status, campaignId]
+    );
+
+    res.json({
+      status,
+      items: r.rows.map(row => ({
+        id: row.id,
+        campaignId: row.campaignId,
+        teamLeaderId: row.teamLeaderId,
+        reviewStatus: row.reviewStatus,
+        reviewedBy: row.reviewedBy,
+        reviewedAt: row.reviewedAt,
+        flags: row.redaction_flags || {},
+        original: Object.fromEntries(OPEN_QUESTION_IDS.map(id => [id, row[FEEDBACK_TEXT_COLUMNS[id]] || null])),
+        redacted: Object.fromEntries(OPEN_QUESTION_IDS.map(id => [id, (row.redacted_json || {})[id] || null]))
+      }))
+    });
+  } catch (e) {
+    console.error("Error in /api/admin/redaction/queue:", e);
+    res.status(500).json({ error: "DB error loading review queue." });
+  }
+});
+
+// decision: "approve" releases the (optionally hand-edited) redacted text, "exclude" keeps it out of every view
+app.post("/api/admin/redaction/review", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const feedbackId = Number(req.body?.feedbackId);
+  const decision = safeText(req.body?.decision);
+  if (!Number.isInteger(feedbackId)) return res.status(400).json({ error: "feedbackId required" });
+  if (!REDACTION_DECISIONS[decision]) return res.status(400).json({ error: "decision must be approve or exclude" });
+
+  try {
+    const existing = await pool.query(
+      `SELECT campaign_id, team_leader_id, redacted_json FROM feedback WHERE id = $1 AND deleted_at IS NULL`,
+      [feedbackId]
+    );
+    if (!existing.rowCount) return res.status(404).json({ error: "Response not found" });
+    const row = existing.rows[0];
+
+    const redacted = { ...(row.redacted_json || {}) };
+    const edited = [];
+    if (decision === "approve" && req.body?.redacted && typeof req.body.redacted === "object") {
+      for (const id of OPEN_QUESTION_IDS) {
+        if (req.body.redacted[id] === undefined) continue;
+        const text = safeText(req.body.redacted[id]);
+        if (text !== (redacted[id] || "")) edited.push(id);
+        if (text) redacted[id] = text;
+        else delete redacted[id];
+      }
+    }
+
+    await pool.query(
+      `UPDATE feedback SET redacted_json = $2, review_status = $3, reviewed_by = $4, reviewed_at = now() WHERE id = $1`,
+      [feedbackId, JSON.stringify(redacted), REDACTION_DECISIONS[decision], req.admin.username]
+    );
+    // No feedback id in the audit trail: it would tie a reviewer's decision to one respondent's text
+    await audit(req, "redaction.review", {
+      campaignId: row.campaign_id,
+      teamLeaderId: row.team_leader_id,
+      affected: 1,
+      details: { decision, edited }
+    });
+    res.json({ ok: true, reviewStatus: REDACTION_DECISIONS[decision] });
+  } catch (e) {
+    console.error("Error in /api/admin/redaction/review:", e);
+    res.status(500).json({ error: "DB error saving review." });
+  }
+});
+
+app.get("/api/admin/redaction/terms", adminAuth, requireRole("super-admin"), async (req, res) => {
+  try {
+    const r = await pool.query(`SELECT term, created_by, created_at FROM redaction_terms ORDER BY lower(term)`);
+    res.json({ terms: r.rows });
+  } catch (e) {
+    console.error("Error in /api/admin/redaction/terms:", e);
+    res.status(500).json({ error: "DB error loading redaction terms." });
+  }
+});
+
+// Extra names (staff, sites, nicknames) to redact alongside team leader names
+app.post("/api/admin/redaction/terms", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const term = safeText(req.body?.term);
+  if (!term || term.length < 2) return res.status(400).json({ error: "term must be at least 2 characters" });
+  if (term.length > 100) return res.status(400).json({ error: "term must be at most 100 characters" });
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO redaction_terms (term, created_by) VALUES ($1, $2) ON CONFLICT (term) DO NOTHING`,
+      [term, req.admin.username]
+    );
+    const rescanned = await rescanUnreviewedRedactions();
+    await audit(req, "redaction.term-add", { affected: r.rowCount, details: { term, rescanned } });
+    res.json({ ok: true, added: r.rowCount, rescanned });
+  } catch (e) {
+    console.error("Error adding redaction term:", e);
+    res.status(500).json({ error: "DB error saving redaction term." });
+  }
+});
+
+app.post("/api/admin/redaction/terms/delete", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const term = safeText(req.body?.term);
+  if (!term) return res.status(400).json({ error: "term required" });
+
+  try {
+    const r = await pool.query(`DELETE FROM redaction_terms WHERE term = $1`, [term]);
+    const rescanned = await rescanUnreviewedRedactions();
+    await audit(req, "redaction.term-delete", { affected: r.rowCount, details: { term, rescanned } });
+    res.json({ ok: true, deleted: r.rowCount, rescanned });
+  } catch (e) {
+    console.error("Error deleting redaction term:", e);
+    res.status(500).json({ error: "DB error deleting redaction term." });
+  }
+});
+
+// -----------------------------
+// Score bands (how averages are labelled everywhere: admin views, exports, reports)
+// -----------------------------
+app.get("/api/admin/settings/score-bands", adminAuth, (req, res) => {
+  res.json({ bands: scoreBands, defaults: DEFAULT_SCORE_BANDS, custom: scoreBands !== DEFAULT_SCORE_BANDS });
+});
+
+// { bands: [{ min, label, band }] } saves a custom set; { reset: true } goes back to the defaults
+app.post("/api/admin/settings/score-bands", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const reset = req.body?.reset === true;
+  const bands = reset ? null : (Array.isArray(req.body?.bands) ? req.body.bands : null);
+  if (!reset) {
+    const error = validateScoreBands(bands);
+    if (error) return res.status(400).json({ error });
+  }
+
+  try {
+    const before = scoreBands;
+    if (reset) {
+      await pool.query(`DELETE FROM app_settings WHERE key = 'score_bands'`);
+    } else {
+      const clean = bands.map(b => ({ min: b.min, label: safeText(b.label), band: b.band }));
+      await pool.query(
+        `
+        INSERT INTO app_settings (key, value_json, updated_by, updated_at) VALUES ('score_bands', $1, $2, now())
+        ON CONFLICT (key) DO UPDATE SET value_json = EXCLUDED.value_json, updated_by = EXCLUDED.updated_by, updated_at = now()
+        `,
+        [JSON.stringify(clean), req.admin.username]
+      );
+    }
+    await loadScoreBands();
+    await audit(req, "settings.score-bands", { details: { reset, before, after: scoreBands } });
+    res.json({ ok: true, bands: scoreBands, custom: scoreBands !== DEFAULT_SCORE_BANDS });
+  } catch (e) {
+    console.error("Error saving score bands:", e);
+    res.status(500).json({ error: "DB error saving score bands." });
+  }
+});
+
+// -----------------------------
+// AI provider
+// -----------------------------
+// AI_PROVIDER picks the backend per deployment:
+//   openai            - OpenAI Responses API (OPENAI_API_KEY or AI_API_KEY)
+//   openai-compatible - any /v1/chat/completions server at AI_BASE_URL (Ollama, vLLM, LM Studio, Azure proxy...)
+//   extractive        - deterministic keyword/sentence summariser, no network; handy offline and in testing
+//   none              - AI features switched off
+// Defaults to openai when OPENAI_API_KEY is set, otherwise none.
+const AI_PROVIDERS = ["openai", "openai-compatible", "extractive", "none"];
+
+function optionalNumber(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+const AI_CONFIG = {
+  provider: (process.env.AI_PROVIDER || (OPENAI_API_KEY ? "openai" : "none")).trim().toLowerCase(),
+  model: process.env.AI_MODEL || "gpt-4.1-mini",
+  temperature: optionalNumber(process.env.AI_TEMPERATURE), // null = provider default
+  timeoutMs: optionalNumber(process.env.AI_TIMEOUT_MS) || 30000,
+  baseUrl: process.env.AI_BASE_URL || null,
+  apiKey: process.env.AI_API_KEY || OPENAI_API_KEY || null
+};
+
+function unavailableAiProvider(name, reason) {
+  return {
+    name,
+    model: null,
+    available: false,
+    unavailableReason: reason,
+    async generate() {
+      throw new Error(reason);
+    }
+  };
+}
+
+function openAiProvider(config) {
+  let OpenAI;
+  try {
+    OpenAI = require("openai");
+  } catch (e) {
+    return unavailableAiProvider(config.provider, "OpenAI SDK not installed on the server. Run: npm i openai");
+  }
+
+  const client = new OpenAI({
+    // Local OpenAI-compatible servers usually ignore the key, but the SDK insists on one
+    apiKey: config.apiKey || "not-needed",
+    baseURL: config.baseUrl || undefined,
+    timeout: config.timeoutMs,
+    maxRetries: 1
+  });
+  const temperature = config.temperature == null ? {} : { temperature: config.temperature };
+
+  return {
+    name: config.provider,
+    model: config.model,
+    available: true,
+    unavailableReason: null,
+    async generate({ prompt }) {
+      if (config.provider === "openai") {
+        const resp = await client.responses.create({ model: config.model, input: prompt, ...temperature });
+        return resp.output_text?.trim() || "No AI output.";
+      }
+      // Compatible servers implement chat completions far more widely than the Responses API
+      const resp = await client.chat.completions.create({
+        model: config.model,
+        messages: [{ role: "user", content: prompt }],
+        ...temperature
+      });
+      return resp.choices?.[0]?.message?.content?.trim() || "No AI output.";
+    }
+  };
+}
+
+function extractiveProvider() {
+  return {
+    name: "extractive",
+    model: "extractive",
+    available: true,
+    unavailableReason: null,
+    async generate({ kind, data }) {
+      const summarise = EXTRACTIVE_SUMMARISERS[kind];
+      if (!summarise) throw new Error(`Extractive summariser has no handler for "${kind}"`);
+      return summarise(data);
+    }
+  };
+}
+
+function createAiProvider(config) {
+  if (!AI_PROVIDERS.includes(config.provider)) {
+    console.warn(`Unknown AI_PROVIDER "${config.provider}". AI features disabled.`);
+    return unavailableAiProvider(config.provider, `AI_PROVIDER must be one of ${AI_PROVIDERS.join(", ")}.`);
+  }
+  if (config.temperature != null && (config.temperature < 0 || config.temperature > 2)) {
+    console.warn("AI_TEMPERATURE must be between 0 and 2; using the provider default.");
+    config = { ...config, temperature: null };
+  }
+
+  if (config.provider === "none") {
+    return unavailableAiProvider("none", "AI is not configured on the server (set AI_PROVIDER, or OPENAI_API_KEY for OpenAI).");
+  }
+  if (config.provider === "extractive") return extractiveProvider();
+  if (config.provider === "openai" && !config.apiKey) {
+    return unavailableAiProvider("openai", "AI is not configured on the server (missing OPENAI_API_KEY).");
+  }
+  if (config.provider === "openai-compatible" && !config.baseUrl) {
+    return unavailableAiProvider("openai-compatible", "AI_PROVIDER=openai-compatible needs AI_BASE_URL.");
+  }
+  return openAiProvider(config);
+}
+
+// -----------------------------
+// Extractive summariser (offline AI stand-in)
+// -----------------------------
+const EXTRACTIVE_STOPWORDS = new Set(`
+  a about above after again all also always am an and any are as at be because been before being below
+  between both but by can could did do does doing done during each even ever every few for from get gets
+  getting give gives good great had has have having he her here him his how i if in into is it its just
+  keep know less like lot lots make makes me more most much my need needs never no not now of off often
+  on once only or other our out over own really same she should so some still such than that the their
+  them then there these they thing things think this those through to too under up us very was way we
+  well were what when where which while who why will with would you your yours name time date shift phone email
+`.split(/\s+/).filter(Boolean));
+
+function extractiveWords(text) {
+  return (text.toLowerCase().match(/[\p{L}']+/gu) || [])
+    .map(w => w.replace(/^'+|'+$/g, "").replace(/'s$/, ""))
+    .map(w => (w.length > 4 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w))
+    .filter(w => w.length > 2 && !EXTRACTIVE_STOPWORDS.has(w));
+}
+
+// Words mentioned in the most comments (each comment counts once), ties broken alphabetically.
+// With several comments a word has to recur to count as a theme.
+function keywordThemes(comments, limit = 3, minCount = comments.length > 1 ? 2 : 1) {
+  const counts = new Map();
+  for (const c of comments) {
+    for (const w of new Set(extractiveWords(c))) counts.set(w, (counts.get(w) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word, count]) => ({ word, count }));
+}
+
+function formatThemeList(themes) {
+  const words = themes.map(t => t.word);
+  if (words.length <= 1) return words.join("");
+  return `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`;
+}
+
+function extractiveSection(title, comments) {
+  const lines = [`${title} (themes):`];
+  if (!comments.length) return [...lines, "- No comments."].join("\n");
+
+  const themes = keywordThemes(comments);
+  if (themes.length) {
+    lines.push(`- Mentioned most: ${themes.map(t => `${t.word} (${t.count} of ${comments.length})`).join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
+const EXTRACTIVE_SUMMARISERS = {
+  "manager-summary": ({ strengths, devs, others }) => {
+    const total = strengths.length + devs.length + others.length;
+    const devThemes = keywordThemes(devs);
+    const actions = [
+      ...devThemes.map(t => `Agree one concrete step on "${t.word}" and review it at the next one-to-one.`),
+      "Share the strengths themes with the team leader so they keep doing what works.",
+      "Ask the team what one change would help most, and follow up within a month.",
+      "Revisit these themes at the next feedback cycle."
+    ].slice(0, 3);
+
+    return [
+      "Offline summary (keyword extraction; no AI service used).",
+      total < 5 ? "Few comments were left, so insights are limited." : null,
+      "",
+      extractiveSection("Strengths", strengths),
+      extractiveSection("Development", devs),
+      extractiveSection("Other notes", others),
+      "",
+      "Suggested actions (3):",
+      ...actions.map((a, i) => `${i + 1}) ${a}`)
+    ].filter(line => line !== null).join("\n");
+  },
+
+  "tl-summary": ({ strengths, devs, others }) => {
+    const strengthThemes = keywordThemes(strengths);
+    const devThemes = keywordThemes(devs);
+    const otherThemes = keywordThemes(others, 2);
+    const parts = [];
+
+    if (strengthThemes.length) {
+      parts.push(`Your team most often mentioned ${formatThemeList(strengthThemes)} when describing what you do well, so keep building on these.`);
+    }
+    if (devThemes.length) {
+      parts.push(`The areas people would most like to see you develop relate to ${formatThemeList(devThemes)}; picking one of these to focus on over the coming weeks is a good next step.`);
+    }
+    if (otherThemes.length) parts.push(`Other comments touched on ${formatThemeList(otherThemes)}.`);
+    if (!parts.length) return "There were not enough written comments this cycle to draw out themes.";
+    parts.push("Thank you for taking the time to reflect on this feedback.");
+    return parts.join(" ");
+  },
+
+  "cycle-compare": ({ fromCycle, toCycle, fromAgg, toAgg, deltas }) => {
+    if (fromAgg.suppressed || toAgg.suppressed) {
+      return "One of these cycles has too few responses to compare without identifying people, so no change summary is given.";
+    }
+    const margin = 0.1;
+    const entries = Object.entries(deltas).filter(([, d]) => d != null);
+    const improved = entries.filter(([, d]) => d >= margin).sort((a, b) => b[1] - a[1]);
+    const declined = entries.filter(([, d]) => d <= -margin).sort((a, b) => a[1] - b[1]);
+    const similar = entries.filter(([, d]) => Math.abs(d) < margin);
+    const describe = list => (list.length ? list.map(([cat, d]) => `${cat} (${d > 0 ? "+" : ""}${d.toFixed(2)})`).join(", ") : "none");
+    const focus = Object.entries(toAgg.categoryAverages)
+      .filter(([, v]) => v != null)
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, 3)
+      .map(([cat], i) => `${i + 1}) ${cat}`);
+
+    return [
+      `Offline comparison of ${fromCycle} (${fromAgg.responseCount} responses) and ${toCycle} (${toAgg.responseCount} responses).`,
+      `- What improved: ${describe(improved)}`,
+      `- What declined: ${describe(declined)}`,
+      `- What stayed similar: ${similar.length ? similar.map(([cat]) => cat).join(", ") : "none"}`,
+      "- Suggested focus (lowest scoring categories now):",
+      ...focus
+    ].join("\n");
+  }
+};
+
+const aiProvider = createAiProvider(AI_CONFIG);
+console.log(`AI provider: ${aiProvider.name}${aiProvider.available ? ` (${aiProvider.model})` : " (disabled)"}`);
+
+// task: { kind, prompt, data }. kind + data let the offline summariser work without parsing the prompt.
+async function aiGenerateText(task) {
+  return aiProvider.generate(task);
+}
+
+// -----------------------------
+// AI summaries (Manager + TL)
+// -----------------------------
+
+function buildManagerPrompt({ teamLeaderId, campaignId, strengths, devs, others }) {
+  return `
+You are summarising anonymous 360 feedback comments for a team leader to help managers decide actions.
+Important rules:
+- DO NOT include anything that could identify individuals (no names, no unique incidents, no exact quotes).
+- Paraphrase into themes only.
+- UK English.
+- If there are very few comments, state that insights are limited.
+
+Output format:
+Strengths (themes):
+- ...
+Development (themes):
+- ...
+Other notes (themes):
+- ...
+
+Suggested actions (3):
+1) ...
+2) ...
+3) ...
+
+Context:
+Team Leader: ${teamLeaderId}
+Cycle: ${campaignId}
+
+Comments:
+Strengths:
+${strengths.map(s => `- ${s}`).join("\n")}
+
+Development:
+${devs.map(s => `- ${s}`).join("\n")}
+
+Other:
+${others.map(s => `- ${s}`).join("\n")}
+`.trim();
+}
+
+function buildTlPrompt({ teamLeaderId, campaignId, strengths, devs, others }) {
+  return `
+Write a TL-facing feedback message as a SINGLE block of text (no headings, no bullets).
+Tone: supportive, professional, motivating, not HR-jargon.
+Important rules:
+- DO NOT include anything that could identify individuals (no names, no unique incidents, no exact quotes).
+- Do not mention managers or "actions for managers".
+- Do not include numeric scores or averages.
+- Focus on themes of observable behaviours.
+Length: ~140–220 words.
+UK English.
+
+Context:
+Team Leader: ${teamLeaderId}
+Cycle: ${campaignId}
+
+Anonymous comment themes source (do not quote directly):
+Strengths:
+${strengths.map(s => `- ${s}`).join("\n")}
+
+Development:
+${devs.map(s => `- ${s}`).join("\n")}
+
+Other:
+${others.map(s => `- ${s}`).join("\n")}
+`.trim();
+}
+
+// -----------------------------
+// Stored AI summaries (one per campaign / TL / audience)
+// -----------------------------
+// Bump whenever buildManagerPrompt / buildTlPrompt change so older summaries show their prompt version
+const AI_PROMPT_VERSION = 1;
+const AI_AUDIENCES = ["manager", "tl"];
+const AI_PROMPT_BUILDERS = { manager: buildManagerPrompt, tl: buildTlPrompt };
+
+// rows need redacted_json + review_status; only released, redacted comments reach the model
+async function generateAiSummary({ teamLeaderId, campaignId, rows, audience }) {
+  const data = { teamLeaderId, campaignId, ...commentLists(rows) };
+  return aiGenerateText({ kind: `${audience}-summary`, prompt: AI_PROMPT_BUILDERS[audience](data), data });
+}
+
+// Fingerprint of what a summary was written from; a mismatch later means it is stale
+function summaryInputHash(rows) {
+  const { strengths, devs, others } = commentLists(rows);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([rows.length, [...strengths].sort(), [...devs].sort(), [...others].sort()]))
+    .digest("hex");
+}
+
+// What a summary may draw on: responses from withheld rater groups never reach the AI,
+// and nothing does while the TL's headline scores are withheld
+function summaryRows(rows, definition) {
+  const byGroup = splitByRaterGroup(rows, definition);
+  return withholdIfTooFew(aggregateFeedback(byGroup.rows), definition).suppressed ? [] : byGroup.rows;
+}
+
+async function loadSummaryInputRows(campaignId, teamLeaderId) {
+  const r = await pool.query(
+    `
+    SELECT f.redacted_json, f.review_status, f.scores_json, f.overall_score, f.rater_group
+    FROM feedback f
+    JOIN campaigns c ON c.id = f.campaign_id AND c.deleted_at IS NULL
+    WHERE f.campaign_id = $1 AND f.team_leader_id = $2 AND f.deleted_at IS NULL
+    ORDER BY random()
+    `,
+    [campaignId, teamLeaderId]
+  );
+  const template = await loadCampaignTemplate(campaignId);
+  return summaryRows(r.rows, template.definition);
+}
+
+function summaryFromRow(row, inputHash) {
+  return {
+    audience: row.audience,
+    text: row.summary_text,
+    status: row.status,
+    edited: row.summary_text !== row.generated_text,
+    stale: inputHash != null && row.input_hash !== inputHash,
+    responseCount: row.response_count,
+    promptVersion: row.prompt_version,
+    provider: row.provider,
+    model: row.model,
+    generatedBy: row.generated_by,
+    generatedAt: row.generated_at,
+    editedBy: row.edited_by,
+    editedAt: row.edited_at,
+    approvedBy: row.approved_by,
+    approvedAt: row.approved_at
+  };
+}
+
+// Returns { manager, tl } (null where nothing is stored); inputHash marks stale ones when given
+async function loadStoredSummaries(campaignId, teamLeaderId, inputHash = null) {
+  const r = await pool.query(
+    `SELECT * FROM ai_summaries WHERE campaign_id = $1 AND team_leader_id = $2`,
+    [campaignId, teamLeaderId]
+  );
+  const out = Object.fromEntries(AI_AUDIENCES.map(a => [a, null]));
+  for (const row of r.rows) out[row.audience] = summaryFromRow(row, inputHash);
+  return out;
+}
+
+// Generates and stores a fresh draft, replacing any earlier text, edits and approval
+async function regenerateSummary({ campaignId, teamLeaderId, audience, rows, admin }) {
+  const text = await generateAiSummary({ teamLeaderId, campaignId, rows, audience });
+  const r = await pool.query(
+    `
+    INSERT INTO ai_summaries (campaign_id, team_leader_id, audience, summary_text, generated_text, status,
+                              prompt_version, provider, model, response_count, input_hash, generated_by, generated_at)
+    VALUES ($1, $2, $3, $4, $4, 'draft', $5, $6, $7, $8, $9, $10, now())
+    ON CONFLICT (campaign_id, team_leader_id, audience) DO UPDATE SET
+      summary_text = EXCLUDED.summary_text, generated_text = EXCLUDED.generated_text, status = 'draft',
+      prompt_version = EXCLUDED.prompt_version, provider = EXCLUDED.provider, model = EXCLUDED.model,
+      response_count = EXCLUDED.response_count, input_hash = EXCLUDED.input_hash,
+      generated_by = EXCLUDED.generated_by, generated_at = now(),
+      edited_by = NULL, edited_at = NULL, approved_by = NULL, approved_at = NULL
+    RETURNING *
+    `,
+    [
+      campaignId, teamLeaderId, audience, text, AI_PROMPT_VERSION, aiProvider.name, aiProvider.model,
+      rows.length, summaryInputHash(rows), admin.username
+    ]
+  );
+  return summaryFromRow(r.rows[0], summaryInputHash(rows));
+}
+
+function parseSummaryTarget(req, res, source) {
+  const campaignId = safeText(source?.campaignId);
+  const teamLeaderId = safeText(source?.teamLeaderId);
+  if (!campaignId || !teamLeaderId) {
+    res.status(400).json({ error: "campaignId and teamLeaderId required" });
+    return null;
+  }
+  if (!ensureTeamLeaderAccess(req, res, teamLeaderId)) return null;
+  return { campaignId, teamLeaderId };
+}
+
+function summaryResponse(summaries) {
+  return {
+    // `summary` kept so older admin pages still work (manager summary)
+    summary: summaries.manager?.text ?? null,
+    managerSummary: summaries.manager?.text ?? null,
+    tlSummary: summaries.tl?.text ?? null,
+    summaries,
+    aiProvider: aiProvider.name,
+    promptVersion: AI_PROMPT_VERSION
+  };
+}
+
+// Stored summaries; the first view generates any that are missing (hr-viewer is read-only, so never generates)
+app.get("/api/admin/ai-summary", adminAuth, async (req, res) => {
+  const target = parseSummaryTarget(req, res, req.query);
+  if (!target) return;
+  const { campaignId, teamLeaderId } = target;
+
+  try {
+    const rows = await loadSummaryInputRows(campaignId, teamLeaderId);
+    if (rows.length < MIN_COMMENTS_FOR_DISPLAY) {
+      const msg = `AI summary hidden until ${MIN_COMMENTS_FOR_DISPLAY}+ responses to protect anonymity.`;
+      return res.json({
+        summary: msg,             // keep existing field
+        managerSummary: msg,
+        tlSummary: msg
+      });
+    }
+
+    const summaries = await loadStoredSummaries(campaignId, teamLeaderId, summaryInputHash(rows));
+    const missing = AI_AUDIENCES.filter(a => !summaries[a]);
+    if (missing.length && req.admin.role !== "hr-viewer") {
+      if (!aiProvider.available && missing.length === AI_AUDIENCES.length) {
+        return res.status(400).json({ error: aiProvider.unavailableReason });
+      }
+      if (aiProvider.available) {
+        for (const audience of missing) {
+          summaries[audience] = await regenerateSummary({ campaignId, teamLeaderId, audience, rows, admin: req.admin });
+        }
+        await audit(req, "ai-summary.generate", {
+          campaignId,
+          teamLeaderId,
+          affected: rows.length,
+          details: { audiences: missing, provider: aiProvider.name, model: aiProvider.model, promptVersion: AI_PROMPT_VERSION }
+        });
+      }
+    }
+
+    await audit(req, "ai-summary.view", { campaignId, teamLeaderId, affected: rows.length });
+    res.json(summaryResponse(summaries));
+  } catch (e) {
+    console.error("AI summary error:", e);
+    res.status(500).json({ error: "AI summary failed." });
+  }
+});
+
+app.post("/api/admin/ai-summary/regenerate", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const target = parseSummaryTarget(req, res, req.body);
+  if (!target) return;
+  const { campaignId, teamLeaderId } = target;
+  const audience = safeText(req.body?.audience);
+  if (!AI_AUDIENCES.includes(audience)) return res.status(400).json({ error: "audience must be manager or tl" });
+  if (!aiProvider.available) return res.status(400).json({ error: aiProvider.unavailableReason });
+
+  try {
+    const rows = await loadSummaryInputRows(campaignId, teamLeaderId);
+    if (rows.length < MIN_COMMENTS_FOR_DISPLAY) {
+      return res.status(400).json({ error: `AI summary hidden until ${MIN_COMMENTS_FOR_DISPLAY}+ responses to protect anonymity.` });
+    }
+
+    const summaries = await loadStoredSummaries(campaignId, teamLeaderId, summaryInputHash(rows));
+    summaries[audience] = await regenerateSummary({ campaignId, teamLeaderId, audience, rows, admin: req.admin });
+    await audit(req, "ai-summary.generate", {
+      campaignId,
+      teamLeaderId,
+      affected: rows.length,
+      details: { audiences: [audience], provider: aiProvider.name, model: aiProvider.model, promptVersion: AI_PROMPT_VERSION }
+    });
+    res.json(summaryResponse(summaries));
+  } catch (e) {
+    console.error("AI summary regenerate error:", e);
+    res.status(500).json({ error: "AI summary failed." });
+  }
+});
+
+// Saves edited text and/or approval. approve: true releases it to reports; saving without it returns it to draft.
+// A stale summary (responses changed since it was generated) has to be regenerated before it can be approved.
+app.post("/api/admin/ai-summary/save", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const target = parseSummaryTarget(req, res, req.body);
+  if (!target) return;
+  const { campaignId, teamLeaderId } = target;
+  const audience = safeText(req.body?.audience);
+  const approve = req.body?.approve === true;
+  const text = req.body?.text === undefined ? null : safeText(req.body.text);
+  if (!AI_AUDIENCES.includes(audience)) return res.status(400).json({ error: "audience must be manager or tl" });
+  if (text === "") return res.status(400).json({ error: "Summary text cannot be empty." });
+  if (text && text.length > 10000) return res.status(400).json({ error: "Summary text must be at most 10000 characters." });
+
+  try {
+    const rows = await loadSummaryInputRows(campaignId, teamLeaderId);
+    const inputHash = summaryInputHash(rows);
+    if (approve) {
+      const current = await loadStoredSummaries(campaignId, teamLeaderId, inputHash);
+      if (current[audience]?.stale) {
+        return res.status(409).json({ error: "Responses have changed since this summary was generated. Regenerate it before approving." });
+      }
+    }
+
+    const r = await pool.query(
+      `
+      UPDATE ai_summaries SET
+        summary_text = COALESCE($4, summary_text),
+        edited_by = CASE WHEN $4::text IS NOT NULL AND $4 <> summary_text THEN $5 ELSE edited_by END,
+        edited_at = CASE WHEN $4::text IS NOT NULL AND $4 <> summary_text THEN now() ELSE edited_at END,
+        status = CASE WHEN $6 THEN 'approved' ELSE 'draft' END,
+        approved_by = CASE WHEN $6 THEN $5 END,
+        approved_at = CASE WHEN $6 THEN now() END
+      WHERE campaign_id = $1 AND team_leader_id = $2 AND audience = $3
+      `,
+      [campaignId, teamLeaderId, audience, text, req.admin.username, approve]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "No summary has been generated yet." });
+
+    const summaries = await loadStoredSummaries(campaignId, teamLeaderId, inputHash);
+    await audit(req, approve ? "ai-summary.approve" : "ai-summary.edit", {
+      campaignId,
+      teamLeaderId,
+      details: { audience, edited: text != null, stale: summaries[audience].stale }
+    });
+    res.json(summaryResponse(summaries));
+  } catch (e) {
+    console.error("AI summary save error:", e);
+    res.status(500).json({ error: "DB error saving summary." });
+  }
+});
+
+// -----------------------------
+// Compare any two cycles for a TL (numbers + optional AI change summary)
+// -----------------------------
+app.get("/api/admin/compare", adminAuth, async (req, res) => {
+  const teamLeaderId = safeText(req.query?.teamLeaderId);
+  const fromCycle = safeText(req.query?.fromCycle);
+  const toCycle = safeText(req.query?.toCycle);
+  const includeAi = safeText(req.query?.includeAi) === "1";
+
+  if (!teamLeaderId || !fromCycle || !toCycle) {
+    return res.status(400).json({ error: "teamLeaderId, fromCycle, toCycle required" });
+  }
+  if (!ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
+
+  try {
+    const getAgg = async (cycleId) => {
+      const r = await pool.query(
+        `
+        SELECT f.scores_json, f.overall_score, f.rater_group
+        FROM feedback f
+        JOIN campaigns c ON c.id = f.campaign_id AND c.deleted_at IS NULL
+        WHERE f.campaign_id = $1 AND f.team_leader_id = $2 AND f.deleted_at IS NULL
+        `,
+        [cycleId, teamLeaderId]
+      );
+
+      // Each cycle is scored against its own questionnaire version
+      const template = await loadCampaignTemplate(cycleId);
+      const byGroup = splitByRaterGroup(r.rows, template.definition);
+      const { questionCounts, ...headline } = withholdIfTooFew(aggregateFeedback(byGroup.rows), template.definition);
+      return {
+        cycleId,
+        ...headline,
+        responseCount: r.rows.length,
+        withheldResponses: byGroup.withheldResponses,
+        raterGroups: byGroup.groups.map(raterGroupSummary)
+      };
+    };
+
+    const fromAgg = await getAgg(fromCycle);
+    const toAgg = await getAgg(toCycle);
 
-  if (!campaignId || !teamLeaderId || !Number.isFinite(count) || count < 1 || count > 500) {
-    return res.status(400).json({ error: "campaignId, teamLeaderId, count required" });
-  }
+    // Overall change per rater group, where both cycles report that group
+    const groupDeltas = {};
+    for (const g of toAgg.raterGroups) {
+      const before = fromAgg.raterGroups.find(x => x.raterGroup === g.raterGroup);
+      if (!before) continue;
+      groupDeltas[g.raterGroup] = before.avgOverall == null || g.avgOverall == null ? null : g.avgOverall - before.avgOverall;
+    }
 
-  try {
-    const c = await pool.query(`SELECT 1 FROM campaigns WHERE id = $1`, [campaignId]);
-    if (!c.rowCount) return res.status(400).json({ error: "Campaign not found" });
+    const deltas = {};
+    const allCats = new Set([...Object.keys(fromAgg.categoryAverages), ...Object.keys(toAgg.categoryAverages)]);
+    for (const cat of allCats) {
+      const a = fromAgg.categoryAverages[cat];
+      const b = toAgg.categoryAverages[cat];
+      deltas[cat] = (a == null || b == null) ? null : (b - a);
+    }
+    const overallDelta =
+      (fromAgg.avgOverall == null || toAgg.avgOverall == null) ? null : (toAgg.avgOverall - fromAgg.avgOverall);
+
+    let aiChangeSummary = null;
+    if (includeAi) {
+      if (!aiProvider.available) {
+        aiChangeSummary = aiProvider.unavailableReason;
+      } else {
+        const prompt = `
+You are comparing two 360 feedback cycles for the same team leader.
+Summarise changes as themes, without identifying individuals.
+Be honest if data is thin. UK English.
+
+Return:
+- What improved
+- What declined
+- What stayed similar
+- Suggested focus actions (3)
+
+Data:
+FROM cycle ${fromCycle} (responses ${fromAgg.responseCount})
+Overall avg: ${fromAgg.avgOverall ?? "n/a"}
+Category avgs: ${JSON.stringify(fromAgg.categoryAverages, null, 2)}
 
-    const tl = await pool.query(`SELECT 1 FROM team_leaders WHERE id = $1 AND active = true`, [teamLeaderId]);
-    if (!tl.rowCount) return res.status(400).json({ error: "Team leader not found / inactive" });
+TO cycle ${toCycle} (responses ${toAgg.responseCount})
+Overall avg: ${toAgg.avgOverall ?? "n/a"}
+Category avgs: ${JSON.stringify(toAgg.categoryAverages, null, 2)}
 
-    const codes = [];
-    for (let i = 0; i < count; i++) codes.push(randomCode());
+Deltas: ${JSON.stringify({ overallDelta, deltas }, null, 2)}
+`.trim();
 
-    const vals = [];
-    const params = [];
-    let p = 1;
-    for (const code of codes) {
-      vals.push(`($${p++}, $${p++}, $${p++})`);
-      params.push(code, teamLeaderId, campaignId);
+        aiChangeSummary = await aiGenerateText({
+          kind: "cycle-compare",
+          prompt,
+          data: { fromCycle, toCycle, fromAgg, toAgg, overallDelta, deltas }
+        });
+      }
     }
 
-    await pool.query(
-      `INSERT INTO codes (code, team_leader_id, campaign_id) VALUES ${vals.join(", ")}`,
-      params
-    );
+    await audit(req, "compare.view", {
+      teamLeaderId,
+      details: { fromCycle, toCycle, includeAi, ...(includeAi && { provider: aiProvider.name }) }
+    });
 
-    res.json({ ok: true, codes });
+    res.json({
+      teamLeaderId,
+      anonymityThreshold: ANONYMITY_THRESHOLD,
+      from: fromAgg,
+      to: toAgg,
+      overallDelta,
+      deltas,
+      groupDeltas,
+      aiChangeSummary
+    });
   } catch (e) {
-    console.error("Error generating codes:", e);
-    res.status(500).json({ error: "DB error generating codes." });
+    console.error("Compare error:", e);
+    res.status(500).json({ error: "DB error comparing cycles." });
   }
 });
 
-// Overview by TL for a cycle
-app.get("/api/admin/overview", adminAuth, async (req, res) => {
+// -----------------------------
+// Benchmarks (this cycle and every cycle so far)
+// -----------------------------
+app.get("/api/admin/benchmarks", adminAuth, async (req, res) => {
   const campaignId = safeText(req.query?.campaignId);
+  const org = parseOrgFilter(req.query);
   if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+  if (org.error) return res.status(400).json({ error: org.error });
 
   try {
-    const cam = await pool.query(`SELECT id, label FROM campaigns WHERE id = $1`, [campaignId]);
+    const cam = await pool.query(`SELECT id, label FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
     if (!cam.rowCount) return res.status(404).json({ error: "Cycle not found." });
 
-    const r = await pool.query(
-      `
-      SELECT
-        tl.id AS "teamLeaderId",
-        COUNT(f.id)::int AS "responseCount",
-        COALESCE(AVG(f.overall_score), 0) AS "avgScore"
-      FROM team_leaders tl
-      LEFT JOIN feedback f
-        ON f.team_leader_id = tl.id
-       AND f.campaign_id = $1
-      WHERE tl.active = true
-      GROUP BY tl.id
-      ORDER BY tl.id ASC
-      `,
-      [campaignId]
-    );
+    const bm = await loadBenchmarks(campaignId, org);
+    await audit(req, "benchmarks.view", { campaignId, details: { departmentId: org.departmentId, siteId: org.siteId } });
 
     res.json({
       campaign: cam.rows[0],
-      results: r.rows.map(row => ({
-        teamLeaderId: row.teamLeaderId,
-        responseCount: row.responseCount,
-        avgScore: Number(row.avgScore || 0)
-      }))
+      anonymityThreshold: ANONYMITY_THRESHOLD,
+      filter: { departmentId: org.departmentId, siteId: org.siteId },
+      minLeaders: BENCHMARK_MIN_LEADERS,
+      cycle: { leaderCount: bm.cycle.leaderCount, ...benchmarkFromSeries(bm.cycle.series) },
+      historic: {
+        leaderCount: bm.historic.leaderCount,
+        cycleCount: bm.historic.cycleCount,
+        ...benchmarkFromSeries(bm.historic.series)
+      }
     });
   } catch (e) {
-    console.error("Error in /api/admin/overview:", e);
-    res.status(500).json({ error: "DB error loading overview." });
+    console.error("Error in /api/admin/benchmarks:", e);
+    res.status(500).json({ error: "DB error loading benchmarks." });
   }
 });
 
-// Detail for TL+cycle
-app.get("/api/admin/detail", adminAuth, async (req, res) => {
-  const campaignId = safeText(req.query?.campaignId);
+// -----------------------------
+// Trend across every cycle for a TL (oldest first)
+// -----------------------------
+app.get("/api/admin/trend", adminAuth, async (req, res) => {
   const teamLeaderId = safeText(req.query?.teamLeaderId);
-  if (!campaignId || !teamLeaderId) return res.status(400).json({ error: "campaignId and teamLeaderId required" });
+  if (!teamLeaderId) return res.status(400).json({ error: "teamLeaderId required" });
+  if (!ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
 
   try {
-    const cam = await pool.query(`SELECT id, label FROM campaigns WHERE id = $1`, [campaignId]);
-    if (!cam.rowCount) return res.status(404).json({ error: "Cycle not found." });
-
+    // Cycles the TL took part in; a cycle's date is when it opened, or when it was created if it never had one
+    const cams = await pool.query(
+      `
+      SELECT c.id, c.label, c.status, COALESCE(c.opens_at, c.created_at) AS started_at
+      FROM campaigns c
+      WHERE c.deleted_at IS NULL
+        AND EXISTS (
+          SELECT 1 FROM feedback f
+          WHERE f.campaign_id = c.id AND f.team_leader_id = $1 AND f.deleted_at IS NULL
+        )
+      ORDER BY started_at ASC, c.id ASC
+      `,
+      [teamLeaderId]
+    );
     const r = await pool.query(
       `
-      SELECT scores_json, overall_score, strengths_text, dev_text, other_text, created_at
+      SELECT campaign_id, scores_json, overall_score, rater_group
       FROM feedback
-      WHERE campaign_id = $1 AND team_leader_id = $2
-      ORDER BY created_at DESC
+      WHERE team_leader_id = $1 AND deleted_at IS NULL
       `,
-      [campaignId, teamLeaderId]
+      [teamLeaderId]
     );
 
-    const responseCount = r.rowCount;
+    // Question wording can change between questionnaire versions; the newest cycle's text wins
+    const categories = [];
+    const questions = {};
+    const cycles = [];
+    for (const cam of cams.rows) {
+      const rows = r.rows.filter(x => x.campaign_id === cam.id);
+      const template = await loadCampaignTemplate(cam.id);
+      const byGroup = splitByRaterGroup(rows, template.definition);
+      const { questionCounts, ...headline } = withholdIfTooFew(aggregateFeedback(byGroup.rows), template.definition);
+
+      for (const cat of template.definition.categories || []) {
+        if (!categories.includes(cat.name)) categories.push(cat.name);
+        for (const q of cat.questions || []) questions[q.id] = q.text;
+      }
+      cycles.push({
+        cycleId: cam.id,
+        label: cam.label,
+        status: cam.status,
+        startedAt: cam.started_at,
+        templateVersion: template.version,
+        ...headline,
+        responseCount: rows.length,
+        withheldResponses: byGroup.withheldResponses
+      });
+    }
 
-    const sums = {};
-    const counts = {};
-    let overallSum = 0;
+    await audit(req, "trend.view", { teamLeaderId, details: { cycles: cycles.length } });
 
-    for (const row of r.rows) {
-      overallSum += Number(row.overall_score);
+    res.json({
+      teamLeaderId,
+      anonymityThreshold: ANONYMITY_THRESHOLD,
+      categories,
+      questions,
+      cycles
+    });
+  } catch (e) {
+    console.error("Error in /api/admin/trend:", e);
+    res.status(500).json({ error: "DB error loading trend." });
+  }
+});
+
+// -----------------------------
+// Action plans (goals per category, with check-ins)
+// -----------------------------
+app.get("/api/admin/action-plans", adminAuth, async (req, res) => {
+  const teamLeaderId = safeText(req.query?.teamLeaderId);
+  const campaignId = safeText(req.query?.campaignId) || null;
+  if (!teamLeaderId) return res.status(400).json({ error: "teamLeaderId required" });
+  if (!ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
+
+  try {
+    res.json({ teamLeaderId, statuses: ACTION_PLAN_STATUSES, plans: await loadActionPlans(teamLeaderId, campaignId) });
+  } catch (e) {
+    console.error("Error in /api/admin/action-plans:", e);
+    res.status(500).json({ error: "DB error loading action plans." });
+  }
+});
+
+// Creates a plan, or updates one when id is given (its cycle and TL never change)
+app.post("/api/admin/action-plans", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const id = req.body?.id != null ? Number(req.body.id) : null;
+  const input = parseActionPlanInput(req.body);
+  if (id != null && !Number.isInteger(id)) return res.status(400).json({ error: "id must be an integer" });
+  if (input.error) return res.status(400).json({ error: input.error });
+
+  try {
+    let campaignId = safeText(req.body?.campaignId);
+    let teamLeaderId = safeText(req.body?.teamLeaderId);
+    let before = null;
+    if (id != null) {
+      const existing = await pool.query(`SELECT * FROM action_plans WHERE id = $1`, [id]);
+      if (!existing.rowCount) return res.status(404).json({ error: "Action plan not found." });
+      before = existing.rows[0];
+      campaignId = before.campaign_id;
+      teamLeaderId = before.team_leader_id;
+    }
+    if (!campaignId || !teamLeaderId) return res.status(400).json({ error: "campaignId and teamLeaderId required" });
+    if (!ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
+
+    const cam = await pool.query(`SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
+    if (!cam.rowCount) return res.status(404).json({ error: "Cycle not found." });
+    const tl = await pool.query(`SELECT display_name FROM team_leaders WHERE id = $1 AND deleted_at IS NULL`, [teamLeaderId]);
+    if (!tl.rowCount) return res.status(404).json({ error: `Team leader not found: ${teamLeaderId}` });
+
+    const categoryError = await actionPlanCategoryError(campaignId, input.category);
+    if (categoryError) return res.status(400).json({ error: categoryError });
+
+    const planId = await writeActionPlan({
+      id,
+      campaignId,
+      teamLeaderId,
+      input: { ...input, owner: input.owner || tl.rows[0].display_name },
+      username: req.admin.username
+    });
+    await audit(req, "action-plan.save", {
+      campaignId,
+      teamLeaderId,
+      affected: 1,
+      details: {
+        planId,
+        created: id == null,
+        category: input.category,
+        status: input.status,
+        ...(before && before.status !== input.status && { statusBefore: before.status })
+      }
+    });
+    res.json({ ok: true, id: planId });
+  } catch (e) {
+    console.error("Error saving action plan:", e);
+    res.status(500).json({ error: "DB error saving action plan." });
+  }
+});
+
+// Dated progress note; status (optional) moves the plan on at the same time
+app.post("/api/admin/action-plans/checkin", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const input = parseCheckinInput(req.body);
+  if (input.error) return res.status(400).json({ error: input.error });
+  const { planId, status } = input;
+
+  try {
+    const plan = await pool.query(`SELECT campaign_id, team_leader_id, status FROM action_plans WHERE id = $1`, [planId]);
+    if (!plan.rowCount) return res.status(404).json({ error: "Action plan not found." });
+    const { campaign_id: campaignId, team_leader_id: teamLeaderId } = plan.rows[0];
+    if (!ensureTeamLeaderAccess(req, res, teamLeaderId)) return;
+
+    const checkinId = await addActionPlanCheckin({ ...input, username: req.admin.username });
+    await audit(req, "action-plan.checkin", {
+      campaignId,
+      teamLeaderId,
+      affected: 1,
+      details: { planId, checkinId, ...(status && { status, statusBefore: plan.rows[0].status }) }
+    });
+    res.json({ ok: true, id: checkinId });
+  } catch (e) {
+    console.error("Error adding action plan check-in:", e);
+    res.status(500).json({ error: "DB error saving check-in." });
+  }
+});
+
+app.post("/api/admin/action-plans/delete", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const id = Number(req.body?.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "id required" });
+
+  try {
+    const plan = await pool.query(`SELECT campaign_id, team_leader_id, category, goal FROM action_plans WHERE id = $1`, [id]);
+    if (!plan.rowCount) return res.status(404).json({ error: "Action plan not found." });
+    const p = plan.rows[0];
+    if (!ensureTeamLeaderAccess(req, res, p.team_leader_id)) return;
+
+    // Check-ins go with it (ON DELETE CASCADE)
+    await pool.query(`DELETE FROM action_plans WHERE id = $1`, [id]);
+    await audit(req, "action-plan.delete", {
+      campaignId: p.campaign_id,
+      teamLeaderId: p.team_leader_id,
+      affected: 1,
+      details: { planId: id, category: p.category, goal: p.goal }
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("Error deleting action plan:", e);
+    res.status(500).json({ error: "DB error deleting action plan." });
+  }
+});
+
+// -----------------------------
+// Exports (CSV / XLSX)
+// -----------------------------
+const EXPORT_SHEETS = ["overview", "categories", "questions", "responses", "summaries"];
+
+function round2(v) {
+  return v == null || !Number.isFinite(Number(v)) ? null : Math.round(Number(v) * 100) / 100;
+}
+
+// Leading = + - @ would make a spreadsheet treat a comment as a formula
+function neutraliseFormula(v) {
+  return typeof v === "string" && /^[=+\-@\t\r]/.test(v) ? `'${v}` : v;
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(neutraliseFormula(v));
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  return rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Builds every export sheet for a cycle as arrays of rows (first row = header).
+ * TLs under ANONYMITY_THRESHOLD only appear as a response count, and the
+ * "all team leaders" figures are computed from the reported TLs alone so the
+ * withheld ones can't be worked out by subtraction. Responses carry no ids or
+ * timestamps and are shuffled within each TL; comment columns stay empty for
+ * TLs under MIN_COMMENTS_FOR_DISPLAY responses, who also get no AI summaries.
+ */
+async function buildCycleExport(campaignId, admin, org = {}) {
+  const cam = await pool.query(
+    `SELECT id, label FROM campaigns WHERE id = $1 AND deleted_at IS NULL`,
+    [campaignId]
+  );
+  if (!cam.rowCount) return null;
+
+  const template = await loadCampaignTemplate(campaignId);
+  const def = template.definition;
+  const groups = templateQuestionGroups(def);
+  const questions = def.categories.flatMap(c => c.questions.map(q => ({ ...q, category: c.name })));
+
+  const r = await pool.query(
+    `
+    SELECT f.team_leader_id, f.scores_json, f.overall_score, f.redacted_json, f.review_status, f.rater_group,
+           tl.display_name, d.name AS department, st.name AS site
+    FROM feedback f
+    JOIN team_leaders tl ON tl.id = f.team_leader_id AND tl.deleted_at IS NULL
+    LEFT JOIN departments d ON d.id = tl.department_id
+    LEFT JOIN sites st ON st.id = tl.site_id
+    WHERE f.campaign_id = $1 AND f.deleted_at IS NULL
+      AND ($2::text[] IS NULL OR f.team_leader_id = ANY($2))
+      AND ($3::int IS NULL OR tl.department_id = $3)
+      AND ($4::int IS NULL OR tl.site_id = $4)
+    ORDER BY lower(tl.display_name) ASC, f.team_leader_id ASC
+    `,
+    [campaignId, admin.teamLeaderIds, org.departmentId ?? null, org.siteId ?? null]
+  );
+
+  const byTl = new Map();
+  for (const row of r.rows) {
+    if (!byTl.has(row.team_leader_id)) byTl.set(row.team_leader_id, []);
+    byTl.get(row.team_leader_id).push(row);
+  }
+  // Only responses splitByRaterGroup lets into the headline count anywhere in the export
+  const perTl = [...byTl.keys()].map(id => {
+    const split = splitByRaterGroup(byTl.get(id), def);
+    const first = byTl.get(id)[0];
+    return {
+      id,
+      name: first.display_name,
+      department: first.department,
+      site: first.site,
+      ...withholdIfTooFew(aggregateFeedback(split.rows), def),
+      responseCount: byTl.get(id).length,
+      countedRows: split.rows,
+      groups: split.groups
+    };
+  });
+  const reported = perTl.filter(t => !t.suppressed);
+  const tlNames = reported.map(t => t.name);
+
+  const all = aggregateFeedback(reported.flatMap(t => t.countedRows));
+  const allCats = computeCategoryAverages(all.questionAverages, def);
+
+  const catNames = Object.keys(groups);
+  const withheldNote = `Scores withheld (fewer than ${ANONYMITY_THRESHOLD} responses)`;
+  const overview = [
+    ["Team Leader", "Department", "Site", "Responses", "Overall avg", ...catNames, "Note"],
+    ...perTl.map(t => [
+      t.name, t.department, t.site, t.responseCount, round2(t.avgOverall), ...catNames.map(c => round2(t.categoryAverages[c])),
+      t.suppressed
+        ? withheldNote
+        : t.countedRows.length < t.responseCount
+          ? `${t.responseCount - t.countedRows.length} responses from a rater group under ${ANONYMITY_THRESHOLD} left out`
+          : null
+    ]),
+    [
+      "All reported team leaders", null, null, all.responseCount, round2(all.avgOverall),
+      ...catNames.map(c => round2(allCats[c])), null
+    ]
+  ];
+
+  const categories = [
+    ["Category", "All reported team leaders", ...tlNames],
+    ...catNames.map(c => [c, round2(allCats[c]), ...reported.map(t => round2(t.categoryAverages[c]))])
+  ];
+
+  const questionRows = [
+    ["Question ID", "Category", "Question", "All reported team leaders", ...tlNames],
+    ...questions.map(q => [
+      q.id, q.category, q.text, round2(all.questionAverages[q.id]),
+      ...reported.map(t => round2(t.questionAverages[q.id]))
+    ])
+  ];
+
+  const openIds = (def.openQuestions || []).map(oq => oq.id);
+  const responses = [
+    ["Team Leader", "Rater group", ...questions.map(q => q.id), "Overall", ...(def.openQuestions || []).map(oq => oq.text)]
+  ];
+  for (const t of reported) {
+    const rows = shuffle([...t.countedRows]);
+    const showComments = rows.length >= MIN_COMMENTS_FOR_DISPLAY;
+    const combined = t.groups.find(g => g.raterGroup === "combined");
+    for (const row of rows) {
       const scores = row.scores_json || {};
-      for (const [qid, val] of Object.entries(scores)) {
-        const n = Number(val);
-        if (!Number.isFinite(n)) continue;
-        sums[qid] = (sums[qid] || 0) + n;
-        counts[qid] = (counts[qid] || 0) + 1;
+      const texts = releasedTexts(row);
+      const group = t.groups.find(g => g.raterGroup === row.rater_group);
+      responses.push([
+        t.name,
+        group?.inCombined ? combined.label : RATER_GROUP_LABELS[row.rater_group],
+        ...questions.map(q => scores[q.id] ?? null),
+        round2(row.overall_score),
+        ...openIds.map(oid => (showComments ? texts[oid] : null))
+      ]);
+    }
+  }
+
+  // Approved AI summaries only; drafts stay on the admin page until someone signs them off
+  const summaries = [["Team Leader", "Audience", "Summary", "Based on responses", "Up to date", "Approved by"]];
+  const audienceLabels = { manager: "Manager", tl: "Team leader" };
+  for (const t of reported) {
+    const id = t.id;
+    const rows = summaryRows(byTl.get(id), template.definition);
+    if (rows.length < MIN_COMMENTS_FOR_DISPLAY) continue;
+    const stored = await loadStoredSummaries(campaignId, id, summaryInputHash(rows));
+    for (const audience of AI_AUDIENCES) {
+      const s = stored[audience];
+      if (s?.status !== "approved") continue;
+      summaries.push([t.name, audienceLabels[audience], s.text, s.responseCount, s.stale ? "No" : "Yes", s.approvedBy]);
+    }
+  }
+
+  return {
+    campaign: cam.rows[0],
+    template,
+    sheets: { overview, categories, questions: questionRows, responses, summaries }
+  };
+}
+
+app.get("/api/admin/export", adminAuth, async (req, res) => {
+  const campaignId = safeText(req.query?.campaignId);
+  const format = safeText(req.query?.format) || "xlsx";
+  const sheet = safeText(req.query?.sheet) || "overview";
+  const org = parseOrgFilter(req.query);
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+  if (org.error) return res.status(400).json({ error: org.error });
+  if (!["csv", "xlsx"].includes(format)) return res.status(400).json({ error: "format must be csv or xlsx" });
+  if (format === "csv" && !EXPORT_SHEETS.includes(sheet)) {
+    return res.status(400).json({ error: `sheet must be one of ${EXPORT_SHEETS.join(", ")}` });
+  }
+
+  try {
+    const data = await buildCycleExport(campaignId, req.admin, org);
+    if (!data) return res.status(404).json({ error: "Cycle not found." });
+
+    const base = `TL360-${campaignId}`.replace(/[^A-Za-z0-9._-]/g, "_");
+    await audit(req, "export.download", {
+      campaignId,
+      details: { format, sheet: format === "csv" ? sheet : "all", departmentId: org.departmentId, siteId: org.siteId }
+    });
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${base}-${sheet}.csv"`);
+      // BOM so Excel opens UTF-8 correctly
+      return res.send("\uFEFF" + toCsv(data.sheets[sheet]));
+    }
+
+    const wb = new ExcelJS.Workbook();
+    wb.created = new Date();
+    const titles = {
+      overview: "Overview",
+      categories: "Categories",
+      questions: "Questions",
+      responses: "Responses",
+      summaries: "AI summaries"
+    };
+    for (const key of EXPORT_SHEETS) {
+      const ws = wb.addWorksheet(titles[key]);
+      data.sheets[key].forEach(row => ws.addRow(row.map(neutraliseFormula)));
+      ws.getRow(1).font = { bold: true };
+      ws.views = [{ state: "frozen", ySplit: 1 }];
+      ws.columns.forEach(col => { col.width = 16; });
+    }
+    const about = wb.addWorksheet("About");
+    [
+      ["Cycle", `${data.campaign.label} (${data.campaign.id})`],
+      ["Questionnaire", `${data.template.name} (${data.template.templateKey} v${data.template.version})`],
+      ["Generated", new Date().toISOString()],
+      ["Scores", `Only included for team leaders with ${ANONYMITY_THRESHOLD}+ responses.`],
+      ["Comments", `Only included for team leaders with ${MIN_COMMENTS_FOR_DISPLAY}+ responses; redacted, and blank until reviewed when flagged.`],
+      ["Responses", "Anonymised: no codes, ids or timestamps; row order is random."],
+      ["AI summaries", "Approved summaries only. \"Up to date\" is No when responses changed after the summary was written."]
+    ].forEach(row => about.addRow(row));
+    about.getColumn(1).font = { bold: true };
+    about.getColumn(1).width = 16;
+    about.getColumn(2).width = 80;
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${base}.xlsx"`);
+    await wb.xlsx.write(res);
+    res.end();
+  } catch (e) {
+    console.error("Error in /api/admin/export:", e);
+    if (!res.headersSent) res.status(500).json({ error: "Error building export." });
+  }
+});
+
+// -----------------------------
+// Cycle report pack (PDF / zip of per-TL PDFs)
+// -----------------------------
+const PDF_COLORS = { text: "#111827", muted: "#6b7280", line: "#e5e7eb", bar: "#2563eb", weak: "#f59e0b" };
+
+/**
+ * Collects everything the report pack needs for a cycle. Only TLs with at least
+ * one response get a section; AI summaries are the approved stored ones (never
+ * generated here), included when asked for and the TL is at or above
+ * MIN_COMMENTS_FOR_DISPLAY.
+ */
+async function loadCycleReportData(campaignId, admin, { includeAi = false, org = {} } = {}) {
+  const cam = await pool.query(
+    `SELECT id, label, status, opens_at, closes_at FROM campaigns WHERE id = $1 AND deleted_at IS NULL`,
+    [campaignId]
+  );
+  if (!cam.rowCount) return null;
+
+  const template = await loadCampaignTemplate(campaignId);
+  const r = await pool.query(
+    `
+    SELECT f.team_leader_id, f.scores_json, f.overall_score, f.redacted_json, f.review_status, f.rater_group,
+           tl.display_name
+    FROM feedback f
+    JOIN team_leaders tl ON tl.id = f.team_leader_id AND tl.deleted_at IS NULL
+    WHERE f.campaign_id = $1 AND f.deleted_at IS NULL
+      AND ($2::text[] IS NULL OR f.team_leader_id = ANY($2))
+      AND ($3::int IS NULL OR tl.department_id = $3)
+      AND ($4::int IS NULL OR tl.site_id = $4)
+    ORDER BY lower(tl.display_name) ASC, f.team_leader_id ASC
+    `,
+    [campaignId, admin.teamLeaderIds, org.departmentId ?? null, org.siteId ?? null]
+  );
+
+  const byTl = new Map();
+  for (const row of r.rows) {
+    if (!byTl.has(row.team_leader_id)) byTl.set(row.team_leader_id, []);
+    byTl.get(row.team_leader_id).push(row);
+  }
+
+  const leaders = [];
+  for (const [teamLeaderId, rows] of byTl) {
+    const byGroup = splitByRaterGroup(rows, template.definition);
+    const agg = {
+      ...withholdIfTooFew(aggregateFeedback(byGroup.rows), template.definition),
+      responseCount: rows.length,
+      withheldResponses: byGroup.withheldResponses
+    };
+    const categoryAverages = agg.categoryAverages;
+    let ai = null;
+    let aiNote = null;
+    if (includeAi) {
+      const aiRows = agg.suppressed ? [] : byGroup.rows;
+      if (aiRows.length < MIN_COMMENTS_FOR_DISPLAY) {
+        aiNote = `AI summary hidden until ${MIN_COMMENTS_FOR_DISPLAY}+ responses to protect anonymity.`;
+      } else {
+        const stored = await loadStoredSummaries(campaignId, teamLeaderId, summaryInputHash(aiRows));
+        const approved = AI_AUDIENCES.filter(a => stored[a]?.status === "approved");
+        if (approved.length) ai = Object.fromEntries(approved.map(a => [a, stored[a]]));
+        else aiNote = "No approved AI summary yet. Generate and approve one on the admin page first.";
       }
     }
+    leaders.push({
+      teamLeaderId,
+      displayName: rows[0].display_name,
+      ...agg,
+      categoryAverages,
+      actionAreas: computeActionAreas(categoryAverages),
+      raterGroups: byGroup.groups,
+      ai,
+      aiNote
+    });
+  }
+
+  return { campaign: cam.rows[0], template, leaders };
+}
+
+function fmtScore(v) {
+  return v == null || !Number.isFinite(Number(v)) ? "-" : Number(v).toFixed(2);
+}
+
+function pdfEnsureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function pdfHeading(doc, text, size = 14) {
+  pdfEnsureSpace(doc, size * 3);
+  doc.moveDown(0.6).font("Helvetica-Bold").fontSize(size).fillColor(PDF_COLORS.text).text(text);
+  doc.moveDown(0.3).font("Helvetica").fontSize(10);
+}
+
+// Simple ruled table; columns = [{ label, width, align }]
+function pdfTable(doc, columns, rows) {
+  const x0 = doc.page.margins.left;
+  const rowH = 18;
+  const drawRow = (cells, bold) => {
+    pdfEnsureSpace(doc, rowH);
+    const y = doc.y;
+    let x = x0;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor(PDF_COLORS.text);
+    cells.forEach((cell, i) => {
+      const col = columns[i];
+      doc.text(String(cell ?? "-"), x + 4, y + 5, { width: col.width - 8, align: col.align || "left", lineBreak: false, ellipsis: true });
+      x += col.width;
+    });
+    const width = columns.reduce((a, c) => a + c.width, 0);
+    doc.moveTo(x0, y + rowH).lineTo(x0 + width, y + rowH).lineWidth(0.5).strokeColor(PDF_COLORS.line).stroke();
+    doc.x = x0;
+    doc.y = y + rowH;
+  };
+  drawRow(columns.map(c => c.label), true);
+  rows.forEach(r => drawRow(r, false));
+  doc.moveDown(0.5);
+}
+
+// Horizontal bar chart drawn with vector primitives; weakest bars highlighted
+function pdfBarChart(doc, items, { min, max, highlight = [] }) {
+  const x0 = doc.page.margins.left;
+  const labelW = 190;
+  const chartW = doc.page.width - doc.page.margins.left - doc.page.margins.right - labelW - 40;
+  const barH = 12;
+  const gap = 6;
+
+  pdfEnsureSpace(doc, items.length * (barH + gap) + 24);
+  const top = doc.y;
+  const xFor = v => x0 + labelW + ((v - min) / (max - min)) * chartW;
+
+  doc.font("Helvetica").fontSize(7).fillColor(PDF_COLORS.muted);
+  for (let t = min; t <= max; t++) {
+    const x = xFor(t);
+    doc.moveTo(x, top).lineTo(x, top + items.length * (barH + gap)).lineWidth(0.5).strokeColor(PDF_COLORS.line).stroke();
+    doc.text(String(t), x - 10, top + items.length * (barH + gap) + 2, { width: 20, align: "center", lineBreak: false });
+  }
+
+  items.forEach(([label, value], i) => {
+    const y = top + i * (barH + gap);
+    doc.font("Helvetica").fontSize(8).fillColor(PDF_COLORS.text)
+      .text(label, x0, y + 2, { width: labelW - 8, lineBreak: false, ellipsis: true });
+    if (value == null) return;
+    const w = Math.max(1, xFor(Math.min(Math.max(value, min), max)) - xFor(min));
+    doc.rect(xFor(min), y, w, barH).fill(highlight.includes(label) ? PDF_COLORS.weak : PDF_COLORS.bar);
+    doc.fillColor(PDF_COLORS.text).fontSize(8).text(fmtScore(value), xFor(min) + w + 4, y + 2, { lineBreak: false });
+  });
+
+  doc.x = x0;
+  doc.y = top + items.length * (barH + gap) + 16;
+}
+
+function pdfCover(doc, data) {
+  const { campaign, template, leaders } = data;
+  doc.font("Helvetica-Bold").fontSize(24).fillColor(PDF_COLORS.text).text("360° Feedback Report", { align: "left" });
+  doc.moveDown(0.5).font("Helvetica").fontSize(14).text(`${campaign.label} (${campaign.id})`);
+  doc.moveDown(1).fontSize(10).fillColor(PDF_COLORS.muted);
+  doc.text(`Questionnaire: ${template.name} (${template.templateKey} v${template.version})`);
+  doc.text(`Status: ${campaign.status}`);
+  if (campaign.opens_at || campaign.closes_at) {
+    doc.text(`Window: ${campaign.opens_at ? formatWindowDate(campaign.opens_at) : "-"} to ${campaign.closes_at ? formatWindowDate(campaign.closes_at) : "-"}`);
+  }
+  doc.text(`Team leaders with responses: ${leaders.length}`);
+  doc.text(`Generated: ${formatWindowDate(new Date())}`);
+  doc.moveDown(1).fillColor(PDF_COLORS.text)
+    .text(`Results are anonymous. Scores are only shown for team leaders with ${ANONYMITY_THRESHOLD}+ responses; written comments and AI summaries need ${MIN_COMMENTS_FOR_DISPLAY}+.`);
+}
+
+function pdfOverview(doc, data) {
+  pdfHeading(doc, "Overview", 16);
+  pdfTable(
+    doc,
+    [
+      { label: "Team Leader", width: 180 },
+      { label: "Responses", width: 80, align: "right" },
+      { label: "Overall avg", width: 80, align: "right" },
+      { label: "Summary", width: 155 }
+    ],
+    data.leaders.map(l => [
+      l.displayName,
+      l.responseCount,
+      fmtScore(l.avgOverall),
+      l.suppressed ? "Withheld (too few responses)" : interpretScore(l.avgOverall).label
+    ])
+  );
+}
+
+function pdfLeaderSection(doc, data, leader) {
+  const def = data.template.definition;
+  const { min, max } = def.scale;
+
+  doc.font("Helvetica-Bold").fontSize(18).fillColor(PDF_COLORS.text).text(leader.displayName);
+  if (leader.suppressed) {
+    doc.font("Helvetica").fontSize(10).fillColor(PDF_COLORS.muted)
+      .text(`Cycle: ${data.campaign.label} · Responses: ${leader.responseCount}`);
+    doc.moveDown(1).fillColor(PDF_COLORS.text)
+      .text(`Scores are withheld until at least ${ANONYMITY_THRESHOLD} responses have been received, to protect anonymity.`);
+    return;
+  }
+  doc.font("Helvetica").fontSize(10).fillColor(PDF_COLORS.muted)
+    .text(`Cycle: ${data.campaign.label} · Responses: ${leader.responseCount} · Overall average: ${fmtScore(leader.avgOverall)} (${interpretScore(leader.avgOverall).label})`);
+
+  pdfHeading(doc, "Category averages");
+  pdfTable(
+    doc,
+    [
+      { label: "Category", width: 260 },
+      { label: "Average", width: 80, align: "right" },
+      { label: "Interpretation", width: 155 }
+    ],
+    Object.entries(leader.categoryAverages).map(([cat, v]) => [cat, fmtScore(v), v == null ? "-" : interpretScore(v).label])
+  );
+
+  if (leader.raterGroups.length > 1) {
+    pdfHeading(doc, "By rater group");
+    pdfTable(
+      doc,
+      [
+        { label: "Rater group", width: 260 },
+        { label: "Responses", width: 80, align: "right" },
+        { label: "Overall average", width: 155, align: "right" }
+      ],
+      leader.raterGroups.map(g => [
+        g.label,
+        g.responseCount,
+        g.suppressed ? (g.inCombined ? "in combined" : `hidden (<${ANONYMITY_THRESHOLD})`) : fmtScore(g.avgOverall)
+      ])
+    );
+    if (leader.withheldResponses) {
+      doc.fontSize(8).fillColor(PDF_COLORS.muted)
+        .text(`${leader.withheldResponses} responses from a group under ${ANONYMITY_THRESHOLD} are left out of every average.`)
+        .fontSize(10).fillColor(PDF_COLORS.text);
+    }
+  }
+
+  const weak = leader.actionAreas.map(a => a.category);
+  pdfHeading(doc, "Category chart");
+  pdfBarChart(doc, Object.entries(leader.categoryAverages), { min, max, highlight: weak });
+
+  pdfHeading(doc, "Question averages");
+  pdfBarChart(
+    doc,
+    def.categories.flatMap(c => c.questions.map(q => [`${q.id.toUpperCase()} ${q.text}`, leader.questionAverages[q.id] ?? null])),
+    { min, max }
+  );
+
+  pdfHeading(doc, "Action areas");
+  if (!leader.actionAreas.length) doc.text("Not enough scored data to suggest action areas.");
+  leader.actionAreas.forEach(a => doc.text(`• ${a.category}: ${fmtScore(a.avg)} (${a.interpretation})`));
 
-    const questionAverages = {};
-    for (const qid of Object.keys(sums)) {
-      questionAverages[qid] = sums[qid] / (counts[qid] || 1);
+  if (leader.ai) {
+    const titles = { manager: "AI summary (manager)", tl: "AI summary (for team leader)" };
+    for (const [audience, summary] of Object.entries(leader.ai)) {
+      pdfHeading(doc, titles[audience]);
+      doc.text(summary.text);
+      const notes = [`Approved by ${summary.approvedBy}`, `based on ${summary.responseCount} responses`];
+      if (summary.stale) notes.push("responses have changed since it was written");
+      doc.moveDown(0.3).fontSize(8).fillColor(PDF_COLORS.muted).text(notes.join("; ") + ".")
+        .fontSize(10).fillColor(PDF_COLORS.text);
     }
+  } else if (leader.aiNote) {
+    pdfHeading(doc, "AI summary");
+    doc.fillColor(PDF_COLORS.muted).text(leader.aiNote).fillColor(PDF_COLORS.text);
+  }
+}
+
+function newReportDoc(title) {
+  return new PDFDocument({ size: "A4", margin: 50, info: { Title: title, Creator: "TL360" } });
+}
 
-    const avgOverall = responseCount ? overallSum / responseCount : null;
+app.get("/api/admin/report-pack", adminAuth, async (req, res) => {
+  const campaignId = safeText(req.query?.campaignId);
+  const format = safeText(req.query?.format) || "pdf";
+  const includeAi = safeText(req.query?.includeAi) === "1";
+  const org = parseOrgFilter(req.query);
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+  if (org.error) return res.status(400).json({ error: org.error });
+  if (!["pdf", "zip"].includes(format)) return res.status(400).json({ error: "format must be pdf or zip" });
+
+  try {
+    const data = await loadCycleReportData(campaignId, req.admin, { includeAi, org });
+    if (!data) return res.status(404).json({ error: "Cycle not found." });
+    if (!data.leaders.length) return res.status(400).json({ error: "No responses in this cycle yet." });
+
+    const base = `TL360-${campaignId}`.replace(/[^A-Za-z0-9._-]/g, "_");
+    await audit(req, "report-pack.download", {
+      campaignId,
+      affected: data.leaders.length,
+      details: { format, includeAi, departmentId: org.departmentId, siteId: org.siteId }
+    });
 
-    let comments = null;
-    if (responseCount >= MIN_COMMENTS_FOR_DISPLAY) {
-      const strengths = r.rows.map(x => safeText(x.strengths_text)).filter(Boolean);
-      const devs = r.rows.map(x => safeText(x.dev_text)).filter(Boolean);
-      const others = r.rows.map(x => safeText(x.other_text)).filter(Boolean);
-      comments = { strengths, devs, others };
+    if (format === "pdf") {
+      const doc = newReportDoc(`360° Feedback – ${data.campaign.label}`);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${base}-report.pdf"`);
+      doc.pipe(res);
+      pdfCover(doc, data);
+      doc.addPage();
+      pdfOverview(doc, data);
+      for (const leader of data.leaders) {
+        doc.addPage();
+        pdfLeaderSection(doc, data, leader);
+      }
+      doc.end();
+      return;
     }
 
-    const catScores = computeCategoryAverages(questionAverages);
-    const catEntries = Object.entries(catScores).filter(([_, v]) => v != null);
-    catEntries.sort((a, b) => (a[1] ?? 0) - (b[1] ?? 0)); // weakest first
-    const actionAreas = catEntries.slice(0, 2).map(([cat, v]) => ({
-      category: cat,
-      avg: v,
-      interpretation: interpretScore(v).label
-    }));
-
-    res.json({
-      campaign: cam.rows[0],
-      teamLeaderId,
-      responseCount,
-      avgOverall,
-      questionAverages,
-      categoryAverages: catScores,
-      actionAreas,
-      comments
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${base}-reports.zip"`);
+    const zip = archiver("zip", { zlib: { level: 9 } });
+    zip.on("error", (e) => {
+      console.error("Error building report zip:", e);
+      res.destroy(e);
     });
-  } catch (e) {
-    console.error("Error in /api/admin/detail:", e);
-    res.status(500).json({ error: "DB error loading detail." });
-  }
-});
+    zip.pipe(res);
 
-// Delete all feedback for TL in a cycle (testing cleanup)
-app.post("/api/admin/delete-feedback", adminAuth, async (req, res) => {
-  const campaignId = safeText(req.body?.campaignId);
-  const teamLeaderId = safeText(req.body?.teamLeaderId);
-  if (!campaignId || !teamLeaderId) return res.status(400).json({ error: "campaignId and teamLeaderId required" });
+    const overviewDoc = newReportDoc(`360° Feedback – ${data.campaign.label}`);
+    zip.append(overviewDoc, { name: "00-overview.pdf" });
+    pdfCover(overviewDoc, data);
+    overviewDoc.addPage();
+    pdfOverview(overviewDoc, data);
+    overviewDoc.end();
 
-  try {
-    const r = await pool.query(
-      `DELETE FROM feedback WHERE campaign_id = $1 AND team_leader_id = $2`,
-      [campaignId, teamLeaderId]
-    );
-    res.json({ ok: true, deletedRows: r.rowCount });
+    // Named after the TL; two TLs with the same name are told apart by id
+    const nameCounts = new Map();
+    for (const l of data.leaders) nameCounts.set(l.displayName, (nameCounts.get(l.displayName) || 0) + 1);
+    for (const leader of data.leaders) {
+      const doc = newReportDoc(`360° Feedback – ${leader.displayName}`);
+      const fileName = nameCounts.get(leader.displayName) > 1
+        ? `${leader.displayName}-${leader.teamLeaderId}`
+        : leader.displayName;
+      zip.append(doc, { name: `${base}-${fileName.replace(/[^A-Za-z0-9._-]/g, "_")}.pdf` });
+      pdfLeaderSection(doc, data, leader);
+      doc.end();
+    }
+    await zip.finalize();
   } catch (e) {
-    console.error("Error deleting feedback:", e);
-    res.status(500).json({ error: "DB error deleting feedback." });
+    console.error("Error in /api/admin/report-pack:", e);
+    if (!res.headersSent) res.status(500).json({ error: "Error building report pack." });
   }
 });
 
 // -----------------------------
-// AI summaries (Manager + TL)
+// Email invitations and reminders (SMTP)
 // -----------------------------
+// SMTP_HOST switches mail on; SMTP_PORT (587), SMTP_SECURE ("true" for implicit TLS), SMTP_USER /
+// SMTP_PASS (optional) and MAIL_FROM configure it. For local testing point it at an SMTP sink such as
+// MailHog or smtp4dev (SMTP_HOST=localhost SMTP_PORT=1025).
+const MAIL_CONFIG = {
+  host: process.env.SMTP_HOST || null,
+  port: optionalNumber(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER || null,
+  pass: process.env.SMTP_PASS || null,
+  from: process.env.MAIL_FROM || "TL 360 Feedback <no-reply@localhost>"
+};
+const REMINDER_POLL_MS = 60 * 1000;
+const EMAIL_KINDS = ["invite", "reminder"];
 
-async function aiGenerateText(prompt) {
-  // Using OpenAI Responses API (same as your current approach)
-  const resp = await openai.responses.create({
-    model: "gpt-4.1-mini",
-    input: prompt
+function createMailer(config) {
+  if (!config.host) return { available: false, unavailableReason: "Email is not configured (set SMTP_HOST)." };
+  let nodemailer;
+  try {
+    nodemailer = require("nodemailer");
+  } catch (e) {
+    return { available: false, unavailableReason: "nodemailer not installed on the server. Run: npm i nodemailer" };
+  }
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined
   });
-  return resp.output_text?.trim() || "No AI output.";
+  return {
+    available: true,
+    unavailableReason: null,
+    async send({ to, subject, text }) {
+      await transport.sendMail({ from: config.from, to, subject, text });
+    }
+  };
 }
 
-function buildManagerPrompt({ teamLeaderId, campaignId, strengths, devs, others }) {
-  return `
-You are summarising anonymous 360 feedback comments for a team leader to help managers decide actions.
-Important rules:
-- DO NOT include anything that could identify individuals (no names, no unique incidents, no exact quotes).
-- Paraphrase into themes only.
-- UK English.
-- If there are very few comments, state that insights are limited.
-
-Output format:
-Strengths (themes):
-- ...
-Development (themes):
-- ...
-Other notes (themes):
-- ...
+const mailer = createMailer(MAIL_CONFIG);
 
-Suggested actions (3):
-1) ...
-2) ...
-3) ...
+// Placeholders: {{name}} {{teamLeader}} {{cycle}} {{code}} {{link}} {{closesAt}}
+const DEFAULT_EMAIL_TEMPLATES = {
+  invite: {
+    subject: "Your feedback code for {{teamLeader}} – {{cycle}}",
+    body: [
+      "Hi {{name}},",
+      "",
+      "You're invited to give anonymous 360° feedback on {{teamLeader}} for {{cycle}}.",
+      "",
+      "Your one-time code: {{code}}",
+      "Open the questionnaire: {{link}}",
+      "",
+      "Your answers are anonymous: results are only ever shown combined with others'.",
+      "Feedback closes {{closesAt}}."
+    ].join("\n")
+  },
+  reminder: {
+    subject: "Reminder: feedback for {{teamLeader}} – {{cycle}}",
+    body: [
+      "Hi {{name}},",
+      "",
+      "A quick reminder that you can still give anonymous feedback on {{teamLeader}} for {{cycle}}.",
+      "If you've already done so, thank you – please ignore this email.",
+      "",
+      "Your one-time code: {{code}}",
+      "Open the questionnaire: {{link}}",
+      "",
+      "Feedback closes {{closesAt}}."
+    ].join("\n")
+  }
+};
+const EMAIL_PLACEHOLDERS = ["name", "teamLeader", "cycle", "code", "link", "closesAt"];
 
-Context:
-Team Leader: ${teamLeaderId}
-Cycle: ${campaignId}
+function renderEmailTemplate(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (vars[key] != null ? String(vars[key]) : m));
+}
 
-Comments:
-Strengths:
-${strengths.map(s => `- ${s}`).join("\n")}
+// This cycle's templates, falling back to the defaults: { invite: { subject, body, isDefault }, reminder: ... }
+async function loadEmailTemplates(campaignId) {
+  const r = await pool.query(`SELECT kind, subject, body FROM email_templates WHERE campaign_id = $1`, [campaignId]);
+  return Object.fromEntries(EMAIL_KINDS.map(kind => {
+    const row = r.rows.find(x => x.kind === kind);
+    return [kind, row ? { subject: row.subject, body: row.body, isDefault: false } : { ...DEFAULT_EMAIL_TEMPLATES[kind], isDefault: true }];
+  }));
+}
 
-Development:
-${devs.map(s => `- ${s}`).join("\n")}
+// Identifies an invitee within one cycle and TL without keeping their address once their code is used.
+// Keyed with a secret that is never stored in the database, so the roster's emails cannot be hashed to
+// match it. Changing INVITE_HASH_SECRET (or JWT_SECRET, its fallback) lets members be invited again.
+const INVITE_HASH_SECRET = process.env.INVITE_HASH_SECRET || JWT_SECRET;
 
-Other:
-${others.map(s => `- ${s}`).join("\n")}
-`.trim();
+function emailHash(campaignId, teamLeaderId, email) {
+  return crypto
+    .createHmac("sha256", INVITE_HASH_SECRET)
+    .update(JSON.stringify([campaignId, teamLeaderId, email.trim().toLowerCase()]))
+    .digest("hex");
 }
 
-function buildTlPrompt({ teamLeaderId, campaignId, strengths, devs, others }) {
-  return `
-Write a TL-facing feedback message as a SINGLE block of text (no headings, no bullets).
-Tone: supportive, professional, motivating, not HR-jargon.
-Important rules:
-- DO NOT include anything that could identify individuals (no names, no unique incidents, no exact quotes).
-- Do not mention managers or "actions for managers".
-- Do not include numeric scores or averages.
-- Focus on themes of observable behaviours.
-Length: ~140–220 words.
-UK English.
+function emailVars(inv) {
+  return {
+    name: inv.name,
+    teamLeader: inv.team_leader_name,
+    cycle: inv.campaign_label,
+    code: inv.code,
+    link: codeLink(inv.base_url, inv.code),
+    closesAt: inv.closes_at ? formatWindowDate(inv.closes_at) : "when the cycle ends"
+  };
+}
 
-Context:
-Team Leader: ${teamLeaderId}
-Cycle: ${campaignId}
+const INVITATION_SELECT = `
+  SELECT i.id, i.email, i.name, i.base_url, i.team_leader_id, k.code,
+         tl.display_name AS team_leader_name, c.label AS campaign_label, c.closes_at
+  FROM invitations i
+  JOIN codes k ON k.id = i.code_id
+  JOIN team_leaders tl ON tl.id = i.team_leader_id AND tl.deleted_at IS NULL
+  JOIN campaigns c ON c.id = i.campaign_id AND c.deleted_at IS NULL
+`;
 
-Anonymous comment themes source (do not quote directly):
-Strengths:
-${strengths.map(s => `- ${s}`).join("\n")}
+// Sends one kind of email to each invitation; a failure is kept on the row and does not stop the rest
+async function sendInvitationEmails(invitations, template, kind) {
+  let sent = 0;
+  let failed = 0;
+  for (const inv of invitations) {
+    const vars = emailVars(inv);
+    try {
+      await mailer.send({
+        to: inv.email,
+        subject: renderEmailTemplate(template.subject, vars),
+        text: renderEmailTemplate(template.body, vars)
+      });
+      await pool.query(
+        kind === "invite"
+          ? `UPDATE invitations SET sent_at = now(), last_error = NULL WHERE id = $1`
+          : `UPDATE invitations SET reminder_count = reminder_count + 1, last_reminded_at = now(), last_error = NULL WHERE id = $1`,
+        [inv.id]
+      );
+      sent++;
+    } catch (e) {
+      console.error(`Error sending ${kind} email:`, e.message);
+      await pool.query(`UPDATE invitations SET last_error = $2 WHERE id = $1`, [inv.id, String(e.message).slice(0, 500)]);
+      failed++;
+    }
+  }
+  return { sent, failed };
+}
 
-Development:
-${devs.map(s => `- ${s}`).join("\n")}
+/**
+ * Reminds everyone invited to an open cycle whose code is still unused (and not revoked or expired).
+ * Who was reminded is never returned, only how many.
+ */
+async function sendReminders(campaignId) {
+  const cam = await pool.query(
+    `SELECT status, opens_at, closes_at FROM campaigns WHERE id = $1 AND deleted_at IS NULL`,
+    [campaignId]
+  );
+  if (!cam.rowCount) return { sent: 0, failed: 0, skipped: "Cycle not found." };
+  const closed = campaignClosedReason(cam.rows[0]);
+  if (closed) return { sent: 0, failed: 0, skipped: closed };
 
-Other:
-${others.map(s => `- ${s}`).join("\n")}
-`.trim();
+  const r = await pool.query(
+    `${INVITATION_SELECT}
+     WHERE i.campaign_id = $1 AND i.sent_at IS NOT NULL
+       AND k.used = false AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > now())`,
+    [campaignId]
+  );
+  const templates = await loadEmailTemplates(campaignId);
+  return sendInvitationEmails(r.rows, templates.reminder, "reminder");
 }
 
-// Returns BOTH summaries. Keeps `summary` for backward compatibility (manager summary).
-app.get("/api/admin/ai-summary", adminAuth, async (req, res) => {
-  if (!openai) {
-    return res.status(400).json({
-      error: "AI is not configured on the server (missing OPENAI_API_KEY or openai package)."
-    });
+// Scheduled reminders: each due row is claimed by one server (SKIP LOCKED) and sent once
+async function runDueReminders() {
+  if (!mailer.available) return;
+  try {
+    for (;;) {
+      const r = await pool.query(`
+        UPDATE email_reminders SET started_at = now()
+        WHERE id = (
+          SELECT id FROM email_reminders
+          WHERE started_at IS NULL AND cancelled_at IS NULL AND send_at <= now()
+          ORDER BY send_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, campaign_id, created_by
+      `);
+      if (!r.rowCount) return;
+      const job = r.rows[0];
+      const result = await sendReminders(job.campaign_id);
+      await pool.query(
+        `UPDATE email_reminders SET finished_at = now(), sent_count = $2, failed_count = $3 WHERE id = $1`,
+        [job.id, result.sent, result.failed]
+      );
+      await audit({ admin: { id: null, username: `schedule:${job.created_by}` } }, "email.reminders", {
+        campaignId: job.campaign_id,
+        affected: result.sent,
+        details: { reminderId: job.id, failed: result.failed, skipped: result.skipped || null }
+      });
+    }
+  } catch (e) {
+    console.error("Error sending scheduled reminders:", e);
   }
+}
 
+app.get("/api/admin/email/status", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
   const campaignId = safeText(req.query?.campaignId);
-  const teamLeaderId = safeText(req.query?.teamLeaderId);
-  if (!campaignId || !teamLeaderId) {
-    return res.status(400).json({ error: "campaignId and teamLeaderId required" });
-  }
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
 
   try {
-    const r = await pool.query(
+    // Per TL: roster members with / without an email, and invitations sent / failed; never used or unused
+    const teams = await pool.query(
       `
-      SELECT strengths_text, dev_text, other_text
-      FROM feedback
-      WHERE campaign_id = $1 AND team_leader_id = $2
-      ORDER BY created_at DESC
+      SELECT tl.id AS "teamLeaderId",
+             (SELECT COUNT(*) FROM roster_members m WHERE m.team_leader_id = tl.id AND m.email IS NOT NULL)::int AS "withEmail",
+             (SELECT COUNT(*) FROM roster_members m WHERE m.team_leader_id = tl.id AND m.email IS NULL)::int AS "withoutEmail",
+             (SELECT COUNT(*) FROM invitations i WHERE i.team_leader_id = tl.id AND i.campaign_id = $1 AND i.sent_at IS NOT NULL)::int AS invited,
+             (SELECT COUNT(*) FROM invitations i WHERE i.team_leader_id = tl.id AND i.campaign_id = $1 AND i.sent_at IS NULL)::int AS "notSent"
+      FROM team_leaders tl
+      WHERE tl.active = true AND tl.deleted_at IS NULL AND ($2::text[] IS NULL OR tl.id = ANY($2))
+      ORDER BY lower(tl.display_name) ASC
       `,
-      [campaignId, teamLeaderId]
+      [campaignId, req.admin.teamLeaderIds]
+    );
+    const reminders = await pool.query(
+      `SELECT id, send_at AS "sendAt", started_at AS "startedAt", finished_at AS "finishedAt", cancelled_at AS "cancelledAt",
+              sent_count AS "sentCount", failed_count AS "failedCount", created_by AS "createdBy"
+       FROM email_reminders WHERE campaign_id = $1 ORDER BY send_at DESC`,
+      [campaignId]
     );
-
-    if (r.rowCount < MIN_COMMENTS_FOR_DISPLAY) {
-      const msg = `AI summary hidden until ${MIN_COMMENTS_FOR_DISPLAY}+ responses to protect anonymity.`;
-      return res.json({
-        summary: msg,             // keep existing field
-        managerSummary: msg,
-        tlSummary: msg
-      });
-    }
-
-    const strengths = r.rows.map(x => safeText(x.strengths_text)).filter(Boolean);
-    const devs = r.rows.map(x => safeText(x.dev_text)).filter(Boolean);
-    const others = r.rows.map(x => safeText(x.other_text)).filter(Boolean);
-
-    const managerPrompt = buildManagerPrompt({ teamLeaderId, campaignId, strengths, devs, others });
-    const tlPrompt = buildTlPrompt({ teamLeaderId, campaignId, strengths, devs, others });
-
-    const managerSummary = await aiGenerateText(managerPrompt);
-    const tlSummary = await aiGenerateText(tlPrompt);
-
-    // `summary` kept so your current admin UI still works with no changes.
     res.json({
-      summary: managerSummary,
-      managerSummary,
-      tlSummary
+      enabled: mailer.available,
+      unavailableReason: mailer.unavailableReason,
+      from: MAIL_CONFIG.from,
+      placeholders: EMAIL_PLACEHOLDERS,
+      templates: await loadEmailTemplates(campaignId),
+      teams: teams.rows,
+      reminders: reminders.rows
     });
   } catch (e) {
-    console.error("AI summary error:", e);
-    res.status(500).json({ error: "AI summary failed." });
+    console.error("Error in /api/admin/email/status:", e);
+    res.status(500).json({ error: "DB error loading email status." });
   }
 });
 
-// -----------------------------
-// Compare any two cycles for a TL (numbers + optional AI change summary)
-// -----------------------------
-app.get("/api/admin/compare", adminAuth, async (req, res) => {
-  const teamLeaderId = safeText(req.query?.teamLeaderId);
-  const fromCycle = safeText(req.query?.fromCycle);
-  const toCycle = safeText(req.query?.toCycle);
-  const includeAi = safeText(req.query?.includeAi) === "1";
-
-  if (!teamLeaderId || !fromCycle || !toCycle) {
-    return res.status(400).json({ error: "teamLeaderId, fromCycle, toCycle required" });
+// { campaignId, kind, subject, body } saves this cycle's template; { campaignId, kind, reset: true } goes back to the default
+app.post("/api/admin/email/templates", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const kind = safeText(req.body?.kind);
+  const reset = req.body?.reset === true;
+  const subject = safeText(req.body?.subject);
+  const body = typeof req.body?.body === "string" ? req.body.body.trim() : "";
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+  if (!EMAIL_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${EMAIL_KINDS.join(", ")}` });
+  if (!reset) {
+    if (!subject || subject.length > 200) return res.status(400).json({ error: "subject required (up to 200 characters)" });
+    if (!body || body.length > 5000) return res.status(400).json({ error: "body required (up to 5000 characters)" });
+    if (!/\{\{\s*(code|link)\s*\}\}/.test(body)) {
+      return res.status(400).json({ error: "body must include {{code}} or {{link}} so the invitee can respond" });
+    }
   }
 
   try {
-    const getAgg = async (cycleId) => {
-      const r = await pool.query(
+    const cam = await pool.query(`SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
+    if (!cam.rowCount) return res.status(404).json({ error: "Cycle not found." });
+    if (reset) {
+      await pool.query(`DELETE FROM email_templates WHERE campaign_id = $1 AND kind = $2`, [campaignId, kind]);
+    } else {
+      await pool.query(
         `
-        SELECT scores_json, overall_score
-        FROM feedback
-        WHERE campaign_id = $1 AND team_leader_id = $2
+        INSERT INTO email_templates (campaign_id, kind, subject, body, updated_by)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (campaign_id, kind) DO UPDATE SET
+          subject = EXCLUDED.subject, body = EXCLUDED.body, updated_by = EXCLUDED.updated_by, updated_at = now()
         `,
-        [cycleId, teamLeaderId]
+        [campaignId, kind, subject, body, req.admin.username]
       );
+    }
+    await audit(req, "email.template", { campaignId, details: { kind, reset } });
+    res.json({ ok: true, templates: await loadEmailTemplates(campaignId) });
+  } catch (e) {
+    console.error("Error in /api/admin/email/templates:", e);
+    res.status(500).json({ error: "DB error saving email template." });
+  }
+});
 
-      const responseCount = r.rowCount;
-      if (!responseCount) {
-        return {
-          cycleId,
-          responseCount: 0,
-          avgOverall: null,
-          questionAverages: {},
-          categoryAverages: computeCategoryAverages({})
-        };
-      }
-
-      const sums = {};
-      const counts = {};
-      let overallSum = 0;
+// Sends a template filled with sample values to one address, e.g. the admin's own
+app.post("/api/admin/email/test", adminAuth, requireRole("super-admin"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const kind = safeText(req.body?.kind) || "invite";
+  const to = safeText(req.body?.to);
+  if (!campaignId || !to) return res.status(400).json({ error: "campaignId and to required" });
+  if (!isEmail(to)) return res.status(400).json({ error: "to must be an email address" });
+  if (!EMAIL_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${EMAIL_KINDS.join(", ")}` });
+  if (!mailer.available) return res.status(400).json({ error: mailer.unavailableReason });
 
-      for (const row of r.rows) {
-        overallSum += Number(row.overall_score);
-        const scores = row.scores_json || {};
-        for (const [qid, val] of Object.entries(scores)) {
-          const n = Number(val);
-          if (!Number.isFinite(n)) continue;
-          sums[qid] = (sums[qid] || 0) + n;
-          counts[qid] = (counts[qid] || 0) + 1;
-        }
-      }
+  try {
+    const cam = await pool.query(`SELECT label, closes_at FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
+    if (!cam.rowCount) return res.status(404).json({ error: "Cycle not found." });
+    const template = (await loadEmailTemplates(campaignId))[kind];
+    const vars = emailVars({
+      name: "Sample Person",
+      team_leader_name: "Sample Team Leader",
+      campaign_label: cam.rows[0].label,
+      closes_at: cam.rows[0].closes_at,
+      base_url: questionnaireUrl(req),
+      code: "SAMP-LE23"
+    });
+    await mailer.send({
+      to,
+      subject: `[Test] ${renderEmailTemplate(template.subject, vars)}`,
+      text: renderEmailTemplate(template.body, vars)
+    });
+    await audit(req, "email.test", { campaignId, details: { kind } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("Error in /api/admin/email/test:", e);
+    res.status(502).json({ error: `Could not send: ${e.message}` });
+  }
+});
 
-      const questionAverages = {};
-      for (const qid of Object.keys(sums)) {
-        questionAverages[qid] = sums[qid] / (counts[qid] || 1);
-      }
+/**
+ * Issues one code per roster member with an email (for each TL given) and emails it to them. Members
+ * already invited to this cycle for that TL are skipped, except that invitations which failed to send
+ * are retried with the code they were given.
+ */
+app.post("/api/admin/email/invite", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const teamLeaderIds = [...new Set((Array.isArray(req.body?.teamLeaderIds) ? req.body.teamLeaderIds : []).map(safeText).filter(Boolean))];
+  const raterGroup = safeText(req.body?.raterGroup) || DEFAULT_RATER_GROUP;
+  const expiresAt = parseOptionalDate(req.body?.expiresAt);
+  if (!campaignId || !teamLeaderIds.length) return res.status(400).json({ error: "campaignId and teamLeaderIds required" });
+  if (!RATER_GROUPS.includes(raterGroup)) {
+    return res.status(400).json({ error: `raterGroup must be one of ${RATER_GROUPS.join(", ")}` });
+  }
+  if (expiresAt.error) return res.status(400).json({ error: "expiresAt must be a valid date" });
+  const outOfScope = teamLeaderIds.filter(id => !canAccessTeamLeader(req.admin, id));
+  if (outOfScope.length) {
+    return res.status(403).json({ error: `Not permitted for team leader(s): ${outOfScope.join(", ")}` });
+  }
+  if (!mailer.available) return res.status(400).json({ error: mailer.unavailableReason });
 
-      const avgOverall = overallSum / responseCount;
-      const categoryAverages = computeCategoryAverages(questionAverages);
+  const client = await pool.connect();
+  try {
+    const c = await client.query(`SELECT status FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
+    if (!c.rowCount) return res.status(404).json({ error: "Cycle not found." });
+    if (["closed", "archived"].includes(c.rows[0].status)) {
+      return res.status(409).json({ error: "Closed and archived cycles cannot send invitations" });
+    }
 
-      return { cycleId, responseCount, avgOverall, questionAverages, categoryAverages };
+    const members = await client.query(
+      `
+      SELECT m.team_leader_id, m.name, m.email
+      FROM roster_members m
+      JOIN team_leaders tl ON tl.id = m.team_leader_id AND tl.active = true AND tl.deleted_at IS NULL
+      WHERE m.team_leader_id = ANY($1)
+      ORDER BY m.team_leader_id, lower(m.name)
+      `,
+      [teamLeaderIds]
+    );
+    const invited = await client.query(
+      `SELECT team_leader_id, email_hash FROM invitations WHERE campaign_id = $1 AND team_leader_id = ANY($2)`,
+      [campaignId, teamLeaderIds]
+    );
+    const invitedKeys = new Set(invited.rows.map(i => `${i.team_leader_id}:${i.email_hash}`));
+    const withEmail = members.rows.filter(m => m.email);
+    const toInvite = withEmail.filter(m => {
+      const key = `${m.team_leader_id}:${emailHash(campaignId, m.team_leader_id, m.email)}`;
+      if (invitedKeys.has(key)) return false;
+      invitedKeys.add(key);
+      return true;
+    });
+    const skipped = {
+      noEmail: members.rows.length - withEmail.length,
+      alreadyInvited: withEmail.length - toInvite.length
     };
+    if (toInvite.length > MAX_CODES_PER_BATCH) {
+      return res.status(400).json({ error: `At most ${MAX_CODES_PER_BATCH} invitations at a time.` });
+    }
 
-    const fromAgg = await getAgg(fromCycle);
-    const toAgg = await getAgg(toCycle);
+    // Random order, so code ids say nothing about which member (listed alphabetically) got which code
+    shuffle(toInvite);
 
-    const deltas = {};
-    for (const cat of Object.keys(QUESTION_GROUPS)) {
-      const a = fromAgg.categoryAverages[cat];
-      const b = toAgg.categoryAverages[cat];
-      deltas[cat] = (a == null || b == null) ? null : (b - a);
+    let batchId = null;
+    await client.query("BEGIN");
+    if (toInvite.length) {
+      const invitedTls = [...new Set(toInvite.map(m => m.team_leader_id))];
+      const batch = await client.query(
+        `
+        INSERT INTO code_batches (campaign_id, team_leader_ids, per_leader_count, from_roster, emailed, rater_group, created_by, created_by_username)
+        VALUES ($1, $2, NULL, true, true, $3, $4, $5)
+        RETURNING id
+        `,
+        [campaignId, invitedTls, raterGroup, req.admin.id, req.admin.username]
+      );
+      batchId = batch.rows[0].id;
+      const baseUrl = questionnaireUrl(req);
+      for (const m of toInvite) {
+        const k = await client.query(
+          `INSERT INTO codes (code, team_leader_id, campaign_id, batch_id, expires_at, rater_group)
+           VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+          [randomCode(), m.team_leader_id, campaignId, batchId, expiresAt.value, raterGroup]
+        );
+        await client.query(
+          `INSERT INTO invitations (campaign_id, team_leader_id, email_hash, email, name, code_id, base_url, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [campaignId, m.team_leader_id, emailHash(campaignId, m.team_leader_id, m.email), m.email, m.name, k.rows[0].id, baseUrl, req.admin.username]
+        );
+      }
     }
-    const overallDelta =
-      (fromAgg.avgOverall == null || toAgg.avgOverall == null) ? null : (toAgg.avgOverall - fromAgg.avgOverall);
-
-    let aiChangeSummary = null;
-    if (includeAi) {
-      if (!openai) {
-        aiChangeSummary = "AI is not configured on the server (missing OPENAI_API_KEY or openai package).";
-      } else {
-        const prompt = `
-You are comparing two 360 feedback cycles for the same team leader.
-Summarise changes as themes, without identifying individuals.
-Be honest if data is thin. UK English.
+    await client.query("COMMIT");
 
-Return:
-- What improved
-- What declined
-- What stayed similar
-- Suggested focus actions (3)
+    // New invitations plus earlier ones for these TLs that never went out and whose code is still usable
+    const pending = await pool.query(
+      `${INVITATION_SELECT}
+       WHERE i.campaign_id = $1 AND i.team_leader_id = ANY($2) AND i.sent_at IS NULL
+         AND k.used = false AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > now())`,
+      [campaignId, teamLeaderIds]
+    );
+    const templates = await loadEmailTemplates(campaignId);
+    const result = await sendInvitationEmails(pending.rows, templates.invite, "invite");
 
-Data:
-FROM cycle ${fromCycle} (responses ${fromAgg.responseCount})
-Overall avg: ${fromAgg.avgOverall ?? "n/a"}
-Category avgs: ${JSON.stringify(fromAgg.categoryAverages, null, 2)}
+    await audit(req, "email.invite", {
+      campaignId,
+      teamLeaderId: teamLeaderIds.length === 1 ? teamLeaderIds[0] : null,
+      affected: result.sent,
+      details: { batchId, teamLeaderIds, raterGroup, created: toInvite.length, failed: result.failed, ...skipped }
+    });
+    res.json({
+      ok: true,
+      batchId,
+      created: toInvite.length,
+      attempted: pending.rowCount,
+      sent: result.sent,
+      failed: result.failed,
+      skippedNoEmail: skipped.noEmail,
+      alreadyInvited: skipped.alreadyInvited
+    });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in /api/admin/email/invite:", e);
+    if (!res.headersSent) res.status(500).json({ error: "Error sending invitations." });
+  } finally {
+    client.release();
+  }
+});
 
-TO cycle ${toCycle} (responses ${toAgg.responseCount})
-Overall avg: ${toAgg.avgOverall ?? "n/a"}
-Category avgs: ${JSON.stringify(toAgg.categoryAverages, null, 2)}
+// { campaignId } sends reminders now; { campaignId, sendAt } schedules them
+app.post("/api/admin/email/reminders", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const campaignId = safeText(req.body?.campaignId);
+  const sendAt = parseOptionalDate(req.body?.sendAt);
+  if (!campaignId) return res.status(400).json({ error: "campaignId required" });
+  if (sendAt.error) return res.status(400).json({ error: "sendAt must be a valid date" });
+  if (sendAt.value && sendAt.value <= new Date()) return res.status(400).json({ error: "sendAt must be in the future" });
+  // Reminders go to everyone in the cycle, so a line manager could nudge other managers' teams
+  if (req.admin.teamLeaderIds) return res.status(403).json({ error: "Only admins who see every team leader can send reminders." });
+  if (!mailer.available) return res.status(400).json({ error: mailer.unavailableReason });
 
-Deltas: ${JSON.stringify({ overallDelta, deltas }, null, 2)}
-`.trim();
+  try {
+    const cam = await pool.query(`SELECT 1 FROM campaigns WHERE id = $1 AND deleted_at IS NULL`, [campaignId]);
+    if (!cam.rowCount) return res.status(404).json({ error: "Cycle not found." });
 
-        const resp = await openai.responses.create({
-          model: "gpt-4.1-mini",
-          input: prompt
-        });
-        aiChangeSummary = resp.output_text?.trim() || "No AI output.";
-      }
+    if (sendAt.value) {
+      const r = await pool.query(
+        `INSERT INTO email_reminders (campaign_id, send_at, created_by) VALUES ($1, $2, $3) RETURNING id`,
+        [campaignId, sendAt.value, req.admin.username]
+      );
+      await audit(req, "email.reminders-schedule", { campaignId, details: { reminderId: r.rows[0].id, sendAt: sendAt.value } });
+      return res.json({ ok: true, scheduled: true, id: r.rows[0].id });
     }
 
-    res.json({
-      teamLeaderId,
-      from: fromAgg,
-      to: toAgg,
-      overallDelta,
-      deltas,
-      aiChangeSummary
-    });
+    const result = await sendReminders(campaignId);
+    if (result.skipped) return res.status(409).json({ error: result.skipped });
+    await audit(req, "email.reminders", { campaignId, affected: result.sent, details: { failed: result.failed } });
+    res.json({ ok: true, scheduled: false, sent: result.sent, failed: result.failed });
   } catch (e) {
-    console.error("Compare error:", e);
-    res.status(500).json({ error: "DB error comparing cycles." });
+    console.error("Error in /api/admin/email/reminders:", e);
+    res.status(500).json({ error: "Error sending reminders." });
+  }
+});
+
+app.post("/api/admin/email/reminders/cancel", adminAuth, requireRole("super-admin", "line-manager"), async (req, res) => {
+  const id = Number(req.body?.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "id required" });
+  if (req.admin.teamLeaderIds) return res.status(403).json({ error: "Only admins who see every team leader can manage reminders." });
+
+  try {
+    const r = await pool.query(
+      `UPDATE email_reminders SET cancelled_at = now()
+       WHERE id = $1 AND started_at IS NULL AND cancelled_at IS NULL RETURNING campaign_id`,
+      [id]
+    );
+    if (!r.rowCount) return res.status(409).json({ error: "That reminder has already gone out or been cancelled." });
+    await audit(req, "email.reminders-cancel", { campaignId: r.rows[0].campaign_id, details: { reminderId: id } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("Error in /api/admin/email/reminders/cancel:", e);
+    res.status(500).json({ error: "DB error cancelling reminder." });
   }
 });
 
@@ -835,6 +6871,7 @@ const PORT = process.env.PORT || 4000;
 initDb()
   .then(() => {
     app.listen(PORT, () => console.log(`Server listening on port ${PORT}`));
+    setInterval(runDueReminders, REMINDER_POLL_MS).unref();
   })
   .catch((e) => {
     console.error("DB init failed:", e);